@@ -0,0 +1,21 @@
+const path = require("path");
+const admin = require("firebase-admin");
+
+// Firebase Admin is optional: Firebase ID tokens are only accepted when credentials
+// are configured, either as FIREBASE_SERVICE_ACCOUNT (inline JSON or a file path)
+// or through GOOGLE_APPLICATION_CREDENTIALS.
+const serviceAccount = process.env.FIREBASE_SERVICE_ACCOUNT;
+
+if (!admin.apps.length && (serviceAccount || process.env.GOOGLE_APPLICATION_CREDENTIALS)) {
+  admin.initializeApp({
+    credential: serviceAccount
+      ? admin.credential.cert(
+          serviceAccount.trim().startsWith("{")
+            ? JSON.parse(serviceAccount)
+            : require(path.resolve(serviceAccount))
+        )
+      : admin.credential.applicationDefault(),
+  });
+}
+
+module.exports = admin.apps.length ? admin : null;
@@ -2,8 +2,16 @@ const User = require("../models/User");
 const { validationResult } = require("express-validator");
 const winston = require("winston");
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
-const { v4: uuidv4 } = require("uuid");
+const { recordAudit, snapshot } = require("../services/auditService");
+const { issueToken, consumeToken } = require("../services/authTokenService");
+const { sendMail } = require("../services/mailer");
+const {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+} = require("../services/sessionService");
 require("dotenv").config();
 // Define logger
 const logger = winston.createLogger({
@@ -26,6 +34,77 @@ if (process.env.NODE_ENV !== "production") {
   );
 }
 
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+const VERIFY_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+// Progressive lockout: after LOCKOUT_THRESHOLD failed passwords the account is locked
+// for 1 minute, doubling with every further failure up to 24 hours. A failure more than
+// FAILED_LOGIN_WINDOW_MS after the previous one starts the count again.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+const FAILED_LOGIN_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const lockedResponse = (res, lockedUntil) => {
+  res.set("Retry-After", Math.ceil((lockedUntil - Date.now()) / 1000));
+  return res.status(429).json({
+    error: "Too many failed login attempts. Try again later",
+    code: "ACCOUNT_LOCKED",
+    lockedUntil,
+  });
+};
+
+const invalidCredentials = (res) => res.status(403).json({ error: "Invalid credentials" });
+
+// Count a failed password and lock the account once over the threshold.
+// Uses atomic updates so concurrent attempts are all counted.
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILED_LOGIN_WINDOW_MS);
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [
+              { $gt: ["$lastFailedLoginAt", windowStart] },
+              { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] },
+              1,
+            ],
+          },
+          lastFailedLoginAt: now,
+        },
+      },
+    ],
+    { new: true }
+  );
+  if (updated.failedLoginAttempts < LOCKOUT_THRESHOLD) return null;
+
+  const lockMs = Math.min(
+    LOCKOUT_BASE_MS * 2 ** (updated.failedLoginAttempts - LOCKOUT_THRESHOLD),
+    LOCKOUT_MAX_MS
+  );
+  const lockedUntil = new Date(Date.now() + lockMs);
+  await User.updateOne({ _id: user._id }, { $set: { lockedUntil } });
+  return lockedUntil;
+};
+
+// Email a verification link to the user
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user._id, "emailVerification", VERIFY_TOKEN_TTL);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your Waydown email address",
+    text:
+      `Hi ${user.username},\n\n` +
+      `Confirm your email address by opening this link within 24 hours:\n` +
+      `${APP_URL}/verify-email?token=${token}\n`,
+  });
+};
+
 // 📌 Email/Password Signup
 exports.signup = async (req, res, next) => {
   logger.info("Signup attempt for email: " + req.body.email + " with display name: " + req.body.displayName);
@@ -52,7 +131,6 @@ exports.signup = async (req, res, next) => {
 
     // Create user in MongoDB
     const user = new User({
-      uid: uuidv4(), // Generate unique uid
       email,
       password: hashedPassword,
       username: displayName,
@@ -60,27 +138,27 @@ exports.signup = async (req, res, next) => {
       bio: "",
       followers: [],
       following: [],
-      refreshTokens: [],
     });
     await user.save();
 
-    // Generate JWT access token
-    const accessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error("Failed to send verification email", { userId: user._id, message: mailError.message });
+    }
 
-    // Generate refresh token
-    const refreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    if (requireEmailVerification()) {
+      logger.info("User created, awaiting email verification: " + user._id);
+      return res.status(201).json({
+        message: "User created successfully. Verify your email address to log in",
+        userId: user._id,
+        email: user.email,
+        emailVerified: false,
+      });
+    }
 
-    // Store refresh token in MongoDB
-    user.refreshTokens.push(refreshToken);
-    await user.save();
+    // Start a session with an access/refresh token pair
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     logger.info("User created successfully with ID: " + user._id);
     res.status(201).json({
@@ -113,37 +191,48 @@ exports.login = async (req, res, next) => {
     const user = await User.findOne({ email });
     if (!user) {
       logger.warn("Invalid credentials", { email });
-      return res.status(403).json({ error: "Invalid credentials" });
+      return invalidCredentials(res);
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    if (user.isLockedOut()) {
+      logger.warn("Login refused for locked account", { email, lockedUntil: user.lockedUntil });
+      return lockedResponse(res, user.lockedUntil);
+    }
+
+    // Verify password (Firebase-only accounts have none)
+    const isPasswordValid = Boolean(user.password) && (await bcrypt.compare(password, user.password));
     if (!isPasswordValid) {
+      const lockedUntil = await recordFailedLogin(user);
+      if (lockedUntil) {
+        logger.warn("Account locked after failed logins", { email, lockedUntil });
+        return lockedResponse(res, lockedUntil);
+      }
       logger.warn("Invalid credentials", { email });
-      return res.status(403).json({ error: "Invalid credentials" });
+      return invalidCredentials(res);
     }
 
-    // Update lastActive
-    user.lastActive = new Date();
-    
-    // Generate JWT access token
-    const accessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    const restriction = user.getRestriction();
+    if (restriction) {
+      logger.warn("Login refused for restricted account", { email, code: restriction.code });
+      return res.status(403).json(restriction);
+    }
 
-    // Generate refresh token
-    const refreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
+    if (requireEmailVerification() && !user.emailVerified) {
+      logger.warn("Login refused for unverified email", { email });
+      return res.status(403).json({ error: "Email address not verified", code: "EMAIL_NOT_VERIFIED" });
+    }
 
-    // Store refresh token
-    user.refreshTokens.push(refreshToken);
+    // Update lastActive and clear failed attempts
+    user.lastActive = new Date();
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockedUntil = null;
+    
     await user.save();
 
+    // Start a session with an access/refresh token pair
+    const { accessToken, refreshToken } = await createSession(user, req);
+
     logger.info("User logged in successfully with ID: " + user._id);
     res.status(200).json({
       message: "User logged in successfully",
@@ -168,65 +257,208 @@ exports.refreshToken = async (req, res, next) => {
   }
 
   try {
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-
-    if (!user || !user.refreshTokens.includes(refreshToken)) {
-      logger.warn("Invalid or expired refresh token", { userId: decoded.userId });
-      return res.status(403).json({ error: "Invalid or expired refresh token" });
+    // Verify and rotate the refresh token
+    const { user, session, accessToken, refreshToken: newRefreshToken } = await rotateSession(refreshToken, req);
+
+    const restriction = user.getRestriction();
+    if (restriction) {
+      await revokeSession(user._id, session._id, "restricted");
+      logger.warn("Token refresh refused for restricted account", { userId: user._id, code: restriction.code });
+      return res.status(403).json(restriction);
     }
 
-    // Generate new access token
-    const newAccessToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
-
-    // Optionally generate new refresh token
-    const newRefreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
-    );
-
-    // Replace old refresh token with new one
-    user.refreshTokens = user.refreshTokens.filter(t => t !== refreshToken);
-    user.refreshTokens.push(newRefreshToken);
-    await user.save();
-
     logger.info("Token refreshed successfully for user: " + user._id);
     res.status(200).json({
-      accessToken: newAccessToken,
+      accessToken,
       refreshToken: newRefreshToken,
     });
   } catch (error) {
-    logger.error("Refresh token error", { message: error.message });
-    return res.status(403).json({ error: "Invalid or expired refresh token" });
+    if (!error.status) {
+      logger.error("Refresh token error", { message: error.message });
+      return next(error);
+    }
+    logger.warn("Refresh token rejected", { message: error.message, code: error.code });
+    return res.status(error.status).json({ error: error.message, code: error.code });
   }
 };
 
 // 📌 Logout
 exports.logout = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    if (req.user.sessionId) {
+      await revokeSession(req.user.userId, req.user.sessionId, "logout");
+    }
+
+    logger.info("User logged out successfully", { userId: req.user.userId });
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    logger.error("Logout error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 List Sessions
+exports.listSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.userId);
+    res.status(200).json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.user.sessionId,
+      })),
+    });
+  } catch (error) {
+    logger.error("List sessions error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 Revoke a Session
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await revokeSession(req.user.userId, req.params.sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    logger.info("Session revoked", { userId: req.user.userId, sessionId: session._id });
+    res.status(200).json({ message: "Session revoked successfully" });
+  } catch (error) {
+    logger.error("Revoke session error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 Revoke All Other Sessions
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const result = await revokeAllSessions(req.user.userId, { except: req.user.sessionId });
+
+    logger.info("Other sessions revoked", { userId: req.user.userId, count: result.modifiedCount });
+    res.status(200).json({ revoked: result.modifiedCount, message: "Other sessions revoked successfully" });
+  } catch (error) {
+    logger.error("Revoke sessions error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 Forgot Password
+exports.forgotPassword = async (req, res, next) => {
+  const message = "If an account exists for this email, a reset link has been sent";
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.password) {
+      // Same response either way so the endpoint can't be used to probe for accounts
+      logger.info("Password reset requested for unknown or passwordless account", { email: req.body.email });
+      return res.status(200).json({ message });
+    }
+
+    const token = await issueToken(user._id, "passwordReset", RESET_TOKEN_TTL);
+    await sendMail({
+      to: user.email,
+      subject: "Reset your Waydown password",
+      text:
+        `Hi ${user.username},\n\n` +
+        `Reset your password by opening this link within 1 hour:\n` +
+        `${APP_URL}/reset-password?token=${token}\n\n` +
+        `If you didn't ask for this, you can ignore this email.\n`,
+    });
+
+    logger.info("Password reset email sent", { userId: user._id });
+    res.status(200).json({ message });
+  } catch (error) {
+    logger.error("Forgot password error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 Reset Password
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    const userId = await consumeToken(token, "passwordReset");
+    if (!userId) {
+      logger.warn("Invalid or expired password reset token");
+      return res.status(400).json({ error: "Invalid or expired reset token", code: "INVALID_TOKEN" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    user.password = await bcrypt.hash(password, 10);
+    // Proving control of the email address lifts a login lockout
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = null;
+    user.lockedUntil = null;
+    await user.save();
+    await revokeAllSessions(user._id, { reason: "password_reset" }); // Sign out every session
+
+    logger.info("Password reset successfully", { userId: user._id });
+    res.status(200).json({ message: "Password reset successfully" });
+  } catch (error) {
+    logger.error("Reset password error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 Change Password
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
     const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
 
-    if (!user) {
-      logger.warn("User not found for logout", { userId: req.user.userId });
-      return res.status(404).json({ error: "User not found" });
+    const isPasswordValid = Boolean(user.password) && (await bcrypt.compare(currentPassword, user.password));
+    if (!isPasswordValid) {
+      logger.warn("Change password with wrong current password", { userId: user._id });
+      return res.status(403).json({ error: "Current password is incorrect" });
     }
 
-    if (refreshToken) {
-      user.refreshTokens = user.refreshTokens.filter(t => t !== refreshToken);
-      await user.save();
-      logger.info("User logged out successfully", { userId: user._id });
+    user.password = await bcrypt.hash(newPassword, 10);
+    await user.save();
+    // Sign out every other session
+    await revokeAllSessions(user._id, { except: req.user.sessionId, reason: "password_change" });
+
+    logger.info("Password changed successfully", { userId: user._id });
+    res.status(200).json({ message: "Password changed successfully" });
+  } catch (error) {
+    logger.error("Change password error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 Verify Email
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const userId = await consumeToken(req.body.token, "emailVerification");
+    if (!userId) {
+      logger.warn("Invalid or expired email verification token");
+      return res.status(400).json({ error: "Invalid or expired verification token", code: "INVALID_TOKEN" });
     }
 
-    res.status(200).json({ message: "Logged out successfully" });
+    const user = await User.findByIdAndUpdate(userId, { emailVerified: true }, { new: true });
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    logger.info("Email verified", { userId: user._id });
+    res.status(200).json({ message: "Email verified successfully" });
   } catch (error) {
-    logger.error("Logout error", { message: error.message });
+    logger.error("Verify email error", { message: error.message });
+    next(error);
+  }
+};
+
+// 📌 Resend Verification Email
+exports.resendVerification = async (req, res, next) => {
+  const message = "If the account needs verification, a new link has been sent";
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+      logger.info("Verification email resent", { userId: user._id });
+    }
+    res.status(200).json({ message });
+  } catch (error) {
+    logger.error("Resend verification error", { message: error.message });
     next(error);
   }
 };
@@ -250,6 +482,16 @@ exports.deleteUser = async (req, res, next) => {
       return res.status(404).json({ error: "User not found in database" });
     }
 
+    if (req.params.userId) {
+      await recordAudit(req, {
+        action: "user.delete",
+        targetType: "User",
+        targetId: user._id,
+        before: snapshot(user),
+        reason: req.body?.reason,
+      });
+    }
+
     if (req.io) {
       user.followers.forEach((followerId) => {
         req.io.to(followerId.toString()).emit("userDeleted", {
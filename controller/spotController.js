@@ -1,79 +1,37 @@
 const Spot = require("../models/Spot");
 const User = require("../models/User");
+const searchService = require("../services/searchService");
+const feedService = require("../services/feedService");
+const recommendationService = require("../services/recommendationService");
+const trendingService = require("../services/trendingService");
+const { syncSpotSuggestions } = require("../services/suggestionService");
+const { storeUploads } = require("../services/imageService");
+const { cleanUpDeletedSpot } = require("../services/spotCleanupService");
 
 const fetchFeed = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const userId = req.user.userId;
-
-    const user = await User.findById(userId).select("following interests");
+    const user = await User.findById(req.user.userId).select("following interests location").lean();
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const followedUsers = user.following || [];
-    const userIds = [...followedUsers, user._id];
-
-    const totalSpots = await Spot.countDocuments({
-      submittedBy: { $in: userIds },
-      status: "approved",
+    const feed = await feedService.buildFeed(user, {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      cursor: req.query.cursor,
+      includeSeen: req.query.includeSeen,
     });
 
-    const spots = await Spot.aggregate([
-      {
-        $match: {
-          submittedBy: { $in: userIds },
-          status: "approved",
-        },
-      },
-      {
-        $addFields: {
-          interestScore: {
-            $size: {
-              $setIntersection: ["$tags", user.interests || []],
-            },
-          },
-        },
-      },
-      {
-        $sort: {
-          interestScore: -1,
-          createdAt: -1,
-        },
-      },
-      { $skip: (page - 1) * limit },
-      { $limit: limit },
-      {
-        $lookup: {
-          from: "users",
-          localField: "submittedBy",
-          foreignField: "_id",
-          as: "user",
-        },
-      },
-      { $unwind: "$user" },
-      {
-        $project: {
-          name: 1,
-          content: 1,
-          photos: 1,
-          location: 1,
-          tags: 1,
-          likedBy: 1,
-          comments: 1,
-          createdAt: 1,
-          bestTimeToVisit: 1,
-          uniqueFacts: 1,
-          username: "$user.username",
-          likes: { $size: "$likedBy" },
-          interestScore: 1,
-        },
-      },
-    ]);
+    res.status(200).json(feed);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const totalPages = Math.ceil(totalSpots / limit);
-    res.status(200).json({ spots, totalPages });
+const markFeedSeen = async (req, res, next) => {
+  try {
+    const marked = await feedService.markSeen(req.user.userId, req.body.spotIds);
+    res.status(200).json({ marked, message: "Spots marked as seen" });
   } catch (error) {
     next(error);
   }
@@ -81,12 +39,13 @@ const fetchFeed = async (req, res, next) => {
 
 const fetchTrendingSpots = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 10;
-    const spots = await Spot.find({ status: "approved" })
-      .sort({ averageRating: -1, "comments.length": -1 })
-      .limit(limit)
-      .select("name photos averageRating comments content");
-    res.status(200).json({ spots });
+    const { window, city, lat, lon, radius } = req.query;
+    const trending = await trendingService.getTrending(
+      { window, city, lat, lon, radius },
+      { page: req.query.page || 1, limit: req.query.limit || 10 }
+    );
+
+    res.status(200).json(trending);
   } catch (error) {
     next(error);
   }
@@ -178,10 +137,10 @@ const addComment = async (req, res, next) => {
 const submitSpot = async (req, res, next) => {
   try {
     const { name, content, location, tags, bestTimeToVisit, uniqueFacts } = req.body;
-    const photos = req.files ? req.files.map((file) => ({ url: file.path })) : [];
     const user = await User.findById(req.user.userId);
 
     if (!user) return res.status(404).json({ error: "User not found" });
+    const photos = await storeUploads(req.files, { folder: "spots" });
 
     const spot = new Spot({
       name,
@@ -236,6 +195,7 @@ const deleteSpot = async (req, res, next) => {
     }
 
     await spot.deleteOne();
+    await cleanUpDeletedSpot(spot);
     req.io.to(req.params.id).emit("spotDeleted", { spotId: req.params.id });
     res.status(200).json({ message: "Spot deleted successfully" });
   } catch (error) {
@@ -259,6 +219,7 @@ const updateSpot = async (req, res, next) => {
     Object.assign(spot, req.body);
     spot.status = "pending";
     await spot.save();
+    await syncSpotSuggestions(spot);
 
     req.io.to(spot._id.toString()).emit("spotUpdated", spot);
     res.status(200).json({ spot, message: "Spot updated and awaiting re-approval" });
@@ -288,76 +249,37 @@ const fetchAllSpots = async (req, res, next) => {
 
 const searchSpots = async (req, res, next) => {
   try {
-    const query = req.params.query;
-    const spots = await Spot.find(
-      {
-        $or: [
-          { name: { $regex: query, $options: "i" } },
-          { content: { $regex: query, $options: "i" } },
-          { tags: { $regex: query, $options: "i" } },
-          { bestTimeToVisit: { $regex: query, $options: "i" } },
-          { uniqueFacts: { $regex: query, $options: "i" } },
-        ],
-        status: "approved",
-      },
-      { score: { $meta: "textScore" } }
-    )
-      .sort({ score: { $meta: "textScore" } })
-      .populate("submittedBy", "username");
+    const { query, q, tags, difficulty, city, minRating, lat, lon, radius, sort } = req.query;
+    const result = await searchService.searchSpots({
+      query: query || q,
+      tags,
+      difficulty,
+      city,
+      minRating,
+      lat,
+      lon,
+      radius,
+      sort,
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+      cursor: req.query.cursor,
+    });
 
-    res.status(200).json(spots);
+    res.status(200).json(result);
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ error: error.message });
     next(error);
   }
 };
 const fetchRecommendations = async (req, res, next) => {
   try {
-    const limit = parseInt(req.query.limit) || 3;
-    const userId = req.user.userId;
-
-    const user = await User.findById(userId).select("interests");
-    if (!user) return res.status(404).json({ error: "User not found" });
-
-    const spots = await Spot.aggregate([
-      {
-        $match: {
-          status: "approved",
-          submittedBy: { $ne: userId }, // Exclude user's own spots
-        },
-      },
-      {
-        $addFields: {
-          interestMatch: {
-            $size: {
-              $setIntersection: ["$tags", user.interests || []],
-            },
-          },
-        },
-      },
-      {
-        $sort: {
-          interestMatch: -1,
-          averageRating: -1,
-          "comments.length": -1,
-        },
-      },
-      { $limit: limit },
-      {
-        $project: {
-          _id: 1,
-          name: 1,
-          photos: 1,
-          tags: 1,
-          location: 1,
-          averageRating: 1,
-          comments: 1,
-          content: 1,
-          likedBy: 1,
-        },
-      },
-    ]);
+    const recommendations = await recommendationService.getRecommendations(req.user.userId, {
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+    });
+    if (!recommendations) return res.status(404).json({ error: "User not found" });
 
-    res.status(200).json({ spots });
+    res.status(200).json(recommendations);
   } catch (error) {
     next(error);
   }
@@ -390,6 +312,7 @@ const reportSpot = async (req, res, next) => {
 
 module.exports = {
   fetchFeed,
+  markFeedSeen,
   fetchTrendingSpots,
   fetchRecommendations,
   likeSpot,
@@ -23,10 +23,10 @@ async function createAdmin(email, password, username) {
     console.log("Firebase user created:", userRecord.uid);
 
     // Sync to MongoDB with isAdmin: true
-    let user = await User.findOne({ uid: userRecord.uid });
+    let user = await User.findOne({ firebaseUid: userRecord.uid });
     if (!user) {
       user = new User({
-        uid: userRecord.uid,
+        firebaseUid: userRecord.uid,
         email,
         username,
         profilePic: "",
@@ -41,7 +41,7 @@ async function createAdmin(email, password, username) {
       await user.save();
       console.log("Admin user created in MongoDB:", user._id);
     } else {
-      await User.updateOne({ uid: userRecord.uid }, { $set: { isAdmin: true } });
+      await User.updateOne({ firebaseUid: userRecord.uid }, { $set: { isAdmin: true } });
       console.log("Existing user updated to admin in MongoDB");
     }
 
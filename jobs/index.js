@@ -0,0 +1,22 @@
+const { schedule } = require("./scheduler");
+const { refreshRecommendations } = require("../services/recommendationService");
+const { refreshTrending } = require("../services/trendingService");
+
+const minutes = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback) * 60 * 1000;
+
+// Start the background jobs. Set JOBS_ENABLED=false on instances that should only
+// serve requests.
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === "false") return;
+
+  schedule(
+    "recommendations",
+    minutes(process.env.RECOMMENDATIONS_REFRESH_MINUTES, 6 * 60),
+    refreshRecommendations
+  );
+  schedule("trending", minutes(process.env.TRENDING_REFRESH_MINUTES, 10), refreshTrending, {
+    initialDelayMs: 10 * 1000,
+  });
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,48 @@
+const winston = require("winston");
+
+// Setup Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Run a task every `intervalMs`, first after `initialDelayMs`. A run is skipped if
+// the previous one is still going, and failures are logged rather than thrown.
+// Timers are unref'd so they never keep the process alive.
+const schedule = (name, intervalMs, task, { initialDelayMs = 60 * 1000 } = {}) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    const startedAt = Date.now();
+    try {
+      const result = await task();
+      logger.info(`Job ${name} finished`, { durationMs: Date.now() - startedAt, result });
+    } catch (error) {
+      logger.error(`Job ${name} failed`, { error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(run, initialDelayMs).unref();
+  setInterval(run, intervalMs).unref();
+};
+
+module.exports = { schedule };
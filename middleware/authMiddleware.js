@@ -1,6 +1,5 @@
-const jwt = require("jsonwebtoken");
 const winston = require("winston");
-const User = require("../models/User");
+const { authenticateToken } = require("../services/authService");
 
 // Setup Winston logger
 const logger = winston.createLogger({
@@ -23,9 +22,12 @@ if (process.env.NODE_ENV !== "production") {
   );
 }
 
-// Main auth middleware
-const authMiddleware = async (req, res, next) => {
+// Main auth middleware. Accepts any token supported by services/authService
+// (our JWTs and Firebase ID tokens) and attaches req.user with the Mongo userId.
+// With `optional`, requests without a usable token pass through anonymously.
+const authenticate = ({ allowUnregistered = false, optional = false } = {}) => async (req, res, next) => {
   const authHeader = req.headers.authorization;
+  if (optional && (!authHeader || !authHeader.startsWith("Bearer "))) return next();
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     logger.warn("Missing or invalid Authorization header", {
       authHeader: authHeader || "none",
@@ -63,6 +65,7 @@ const authMiddleware = async (req, res, next) => {
       url: req.url,
       ip: req.ip,
     });
+    if (optional) return next();
     return res
       .status(403)
       .json({
@@ -72,33 +75,13 @@ const authMiddleware = async (req, res, next) => {
   }
 
   try {
-    logger.info("Attempting to verify JWT", {
-      tokenSnippet: token.substring(0, 10) + "...",
-      method: req.method,
-      url: req.url,
-      ip: req.ip,
-    });
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    req.user = await authenticateToken(token, { allowUnregistered });
 
-    // Fetch user from MongoDB to check additional roles
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      logger.warn("User not found in MongoDB", {
-        userId: decoded.userId,
-        method: req.method,
-        url: req.url,
-        ip: req.ip,
-      });
-      return res.status(404).json({ error: "User not found in database" });
-    }
-
-    req.user.isAdmin = user.isAdmin || false;
     logger.info("User authenticated successfully", {
-      userId: decoded.userId,
-      email: user.email,
+      userId: req.user.userId,
+      email: req.user.email,
       isAdmin: req.user.isAdmin,
+      strategy: req.user.strategy,
       method: req.method,
       url: req.url,
       ip: req.ip,
@@ -106,19 +89,26 @@ const authMiddleware = async (req, res, next) => {
 
     next();
   } catch (error) {
-    logger.error("Token verification failed", {
+    if (!error.status) return next(error);
+
+    logger.warn("Authentication failed", {
       errorMessage: error.message,
+      details: error.details,
       tokenSnippet: token.substring(0, 10) + "...",
       method: req.method,
       url: req.url,
       ip: req.ip,
     });
+    if (optional) return next();
     return res
-      .status(403)
-      .json({ error: "Invalid or expired token", details: error.message });
+      .status(error.status)
+      .json(error.body || { error: error.message, ...(error.details && { details: error.details }) });
   }
 };
 
+const authMiddleware = authenticate();
+const optionalAuthMiddleware = authenticate({ optional: true });
+
 // Admin middleware
 const adminMiddleware = async (req, res, next) => {
   if (!req.user || !req.user.isAdmin) {
@@ -135,4 +125,4 @@ const adminMiddleware = async (req, res, next) => {
   next();
 };
 
-module.exports = { authMiddleware, adminMiddleware };
\ No newline at end of file
+module.exports = { authenticate, authMiddleware, optionalAuthMiddleware, adminMiddleware };
\ No newline at end of file
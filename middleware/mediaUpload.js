@@ -0,0 +1,27 @@
+// middleware/mediaUpload.js
+const multer = require("multer");
+const { tempStorage } = require("./tempUploads");
+
+const MAX_FILE_MB = Number(process.env.UPLOAD_MAX_MEDIA_MB) || 100;
+
+// Like middleware/upload, but for 360° panoramas, which may be a large image or a
+// short video. Files go to temporary storage and services/imageService checks the
+// real content of either; videos are streamed from there to storage. MAX_FILE_MB is
+// the only limit on a video: its duration is not checked.
+const storage = tempStorage;
+
+const fileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith("image/") || file.mimetype.startsWith("video/")) {
+    cb(null, true);
+  } else {
+    cb(Object.assign(new Error("Only image or video files are allowed!"), { status: 400 }), false);
+  }
+};
+
+const mediaUpload = multer({
+  storage,
+  fileFilter,
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 },
+});
+
+module.exports = mediaUpload;
@@ -0,0 +1,26 @@
+// middleware/tempUploads.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const multer = require("multer");
+
+const TEMP_DIR = path.join(os.tmpdir(), "waydown-uploads");
+
+// Multer storage that writes uploads to temporary files instead of holding them in
+// memory, so large or many concurrent uploads do not fill the process's RAM
+const tempStorage = multer.diskStorage({ destination: TEMP_DIR });
+
+const uploadedFiles = (req) => {
+  const files = Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat();
+  return req.file ? [req.file, ...files] : files;
+};
+
+// Delete a request's temporary upload files once its response is done, however it ended
+const removeTempUploads = (req, res, next) => {
+  res.on("close", () => {
+    uploadedFiles(req).forEach((file) => file.path && fs.rm(file.path, { force: true }, () => {}));
+  });
+  next();
+};
+
+module.exports = { tempStorage, removeTempUploads };
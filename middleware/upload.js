@@ -1,26 +1,26 @@
 // middleware/upload.js
 const multer = require("multer");
+const { tempStorage } = require("./tempUploads");
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, "uploads/");
-  },
-  filename: (req, file, cb) => {
-    cb(null, `${Date.now()}-${file.originalname}`);
-  },
-});
+const MAX_FILE_MB = Number(process.env.UPLOAD_MAX_FILE_MB) || 15;
+
+// Uploads are written to temporary files (removed once the response is sent) and
+// handed to services/imageService, which checks the real content, re-encodes it and
+// stores the variants.
+const storage = tempStorage;
 
 const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith("image/")) {
     cb(null, true);
   } else {
-    cb(new Error("Only image files are allowed!"), false);
+    cb(Object.assign(new Error("Only image files are allowed!"), { status: 400 }), false);
   }
 };
 
 const upload = multer({
   storage,
   fileFilter,
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 20 },
 });
 
-module.exports = upload;
\ No newline at end of file
+module.exports = upload;
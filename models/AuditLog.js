@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  action: { type: String, required: true, trim: true },
+  targetType: {
+    type: String,
+    enum: ["Spot", "Post", "User"],
+    required: true,
+  },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after: { type: mongoose.Schema.Types.Mixed, default: null },
+  reason: { type: String, trim: true, default: "" },
+  ip: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Indexes for the admin query filters
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens for password reset and email verification.
+// Only a SHA-256 hash of the token is stored.
+const AuthTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: {
+    type: String,
+    enum: ["passwordReset", "emailVerification"],
+    required: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Expired tokens are removed by MongoDB
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+AuthTokenSchema.index({ user: 1, type: 1 });
+
+module.exports = mongoose.model("AuthToken", AuthTokenSchema);
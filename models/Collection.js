@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A spot in a collection, in the owner's chosen order
+const itemSchema = new mongoose.Schema(
+  {
+    spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Note cannot exceed 300 characters"],
+      default: "",
+    },
+    addedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// A user's named list of spots. Public collections are listed and searchable,
+// unlisted ones are reachable only by ID and private ones only by the owner.
+const CollectionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [80, "Name cannot exceed 80 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: "",
+    },
+    visibility: {
+      type: String,
+      enum: ["private", "unlisted", "public"],
+      default: "private",
+    },
+    items: {
+      type: [itemSchema],
+      default: [],
+    },
+    followerCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+CollectionSchema.index({ user: 1, createdAt: -1, _id: -1 });
+CollectionSchema.index({ visibility: 1, createdAt: -1, _id: -1 });
+CollectionSchema.index({ "items.spot": 1 });
+
+module.exports = mongoose.model("Collection", CollectionSchema);
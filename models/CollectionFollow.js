@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// A user following someone else's collection
+const CollectionFollowSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  collectionId: { type: mongoose.Schema.Types.ObjectId, ref: "Collection", required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+CollectionFollowSchema.index({ user: 1, collectionId: 1 }, { unique: true });
+CollectionFollowSchema.index({ user: 1, createdAt: -1, _id: -1 });
+CollectionFollowSchema.index({ collectionId: 1 });
+
+module.exports = mongoose.model("CollectionFollow", CollectionFollowSchema);
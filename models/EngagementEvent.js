@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Log of user interactions with spots. `user` is empty for anonymous visitors, who
+// are told apart by `viewer`.
+// Events older than 90 days are removed by MongoDB.
+const EngagementEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["view", "like", "review", "share"],
+    required: true,
+  },
+  spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  // Where a share went, e.g. "whatsapp" or "copy-link"
+  channel: { type: String, trim: true, maxlength: 50 },
+  // Who acted, from engagementService.viewerKey
+  viewer: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+EngagementEventSchema.index({ user: 1, type: 1, createdAt: -1 });
+EngagementEventSchema.index({ spot: 1, type: 1, createdAt: -1 });
+EngagementEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("EngagementEvent", EngagementEventSchema);
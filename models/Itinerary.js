@@ -0,0 +1,89 @@
+const mongoose = require("mongoose");
+
+const MAX_DAYS = 30;
+const MAX_STOPS_PER_DAY = 25;
+
+// A spot visited on a given day, with the traveller's own note
+const stopSchema = new mongoose.Schema(
+  {
+    spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Stop note cannot exceed 500 characters"],
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const daySchema = new mongoose.Schema(
+  {
+    date: { type: Date },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Day title cannot exceed 100 characters"],
+      default: "",
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Day notes cannot exceed 1000 characters"],
+      default: "",
+    },
+    stops: {
+      type: [stopSchema],
+      default: [],
+      validate: {
+        validator: (stops) => stops.length <= MAX_STOPS_PER_DAY,
+        message: `A day cannot have more than ${MAX_STOPS_PER_DAY} stops`,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// A user's trip plan: spots ordered into days. Private by default; it can be
+// made public or shared read-only through an unguessable link token.
+const ItinerarySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Description cannot exceed 1000 characters"],
+      default: "",
+    },
+    startDate: { type: Date },
+    endDate: { type: Date },
+    days: {
+      type: [daySchema],
+      default: [],
+      validate: {
+        validator: (days) => days.length <= MAX_DAYS,
+        message: `An itinerary cannot have more than ${MAX_DAYS} days`,
+      },
+    },
+    visibility: {
+      type: String,
+      enum: ["private", "public"],
+      default: "private",
+    },
+    shareToken: { type: String },
+  },
+  { timestamps: true }
+);
+
+ItinerarySchema.index({ user: 1, createdAt: -1, _id: -1 });
+ItinerarySchema.index({ visibility: 1, createdAt: -1, _id: -1 });
+ItinerarySchema.index({ "days.stops.spot": 1 });
+ItinerarySchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model("Itinerary", ItinerarySchema);
@@ -4,12 +4,22 @@ const NotificationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   type: {
     type: String,
-    enum: ["like", "comment", "follow", "post"],
+    enum: ["like", "comment", "follow", "report", "spot", "post", "photo"],
     required: true,
   },
-  relatedId: { type: mongoose.Schema.Types.ObjectId, refPath: "type" },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  relatedId: { type: mongoose.Schema.Types.ObjectId, refPath: "relatedModel" },
+  relatedModel: {
+    type: String,
+    enum: ["Spot", "Post", "User", "Collection"],
+  },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
   read: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now },
 });
 
+// Indexes for the inbox listing and unread badge
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, read: 1 });
+
 module.exports = mongoose.model("Notification", NotificationSchema);
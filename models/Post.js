@@ -25,13 +25,34 @@ const commentSchema = new mongoose.Schema(
   { _id: true } // Ensure each comment has an ID
 );
 
-// Define the Image sub-schema
+// Define the Image variant sub-schema (one resized WebP rendition)
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+// Define the Image sub-schema. `url` is the large variant.
 const imageSchema = new mongoose.Schema(
   {
     url: {
       type: String,
       required: true,
     },
+    key: {
+      type: String, // Storage key the variants were saved under
+    },
+    variants: {
+      thumbnail: { type: imageVariantSchema },
+      medium: { type: imageVariantSchema },
+      large: { type: imageVariantSchema },
+    },
+    width: { type: Number },
+    height: { type: Number },
+    blurhash: { type: String },
     uploadedAt: {
       type: Date,
       default: Date.now,
@@ -40,6 +61,26 @@ const imageSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Define the moderation review sub-schema
+const reviewSchema = new mongoose.Schema(
+  {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reviewer note cannot exceed 500 characters"],
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
 // Define the Post schema
 const postSchema = new mongoose.Schema(
   {
@@ -86,6 +127,10 @@ const postSchema = new mongoose.Schema(
       enum: ["pending", "approved", "rejected"],
       default: "pending",
     },
+    review: {
+      type: reviewSchema,
+      default: undefined,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -102,6 +147,7 @@ const postSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 postSchema.index({ createdAt: -1 }); // For sorting by creation date
+postSchema.index({ status: 1, createdAt: 1, _id: 1 }); // For listings, cursors and the moderation queue
 postSchema.index({ tags: 1 }); // For tag-based queries
 postSchema.index({ "comments.createdAt": -1 }); // For sorting comments
 
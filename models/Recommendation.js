@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Precomputed recommendations for one user, refreshed by the recommendation job
+const recommendedSpotSchema = new mongoose.Schema(
+  {
+    spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+    score: { type: Number, required: true },
+    reason: {
+      type: String,
+      enum: ["liked", "reviewed", "viewed", "following", "interests", "popular"],
+      required: true,
+    },
+    // The spot or user behind the reason, e.g. the liked spot for "liked"
+    becauseOf: { type: mongoose.Schema.Types.ObjectId },
+    becauseOfModel: { type: String, enum: ["Spot", "User"] },
+    explanation: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+const RecommendationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+  items: { type: [recommendedSpotSchema], default: [] },
+  computedAt: { type: Date, default: Date.now },
+});
+
+RecommendationSchema.index({ computedAt: 1 });
+
+module.exports = mongoose.model("Recommendation", RecommendationSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// A spot a user saved for later. Saving is private bookkeeping and separate from
+// liking, which is public appreciation kept in Spot.likedBy.
+const SavedSpotSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+  savedAt: { type: Date, default: Date.now },
+});
+
+SavedSpotSchema.index({ user: 1, spot: 1 }, { unique: true });
+SavedSpotSchema.index({ user: 1, savedAt: -1, _id: -1 });
+SavedSpotSchema.index({ spot: 1 });
+
+module.exports = mongoose.model("SavedSpot", SavedSpotSchema);
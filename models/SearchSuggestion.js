@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Autocomplete entries derived from approved spots: one per spot, and one per
+// distinct city and tag. Kept in sync by services/suggestionService.js.
+const SearchSuggestionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["spot", "city", "tag"],
+    required: true,
+  },
+  key: { type: String, required: true, unique: true },
+  text: { type: String, required: true },
+  normalized: { type: String, required: true },
+  words: { type: [String], default: [] },
+  grams: { type: [String], default: [] },
+  spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot" },
+  // City and tags the spot was indexed under, so stale city/tag counts can be refreshed
+  city: { type: String, default: "" },
+  cityName: { type: String, default: "" },
+  tags: { type: [String], default: [] },
+  spotCount: { type: Number, default: 0 },
+  popularity: { type: Number, default: 0 },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Indexes for prefix lookups and fuzzy candidate retrieval
+SearchSuggestionSchema.index({ words: 1 });
+SearchSuggestionSchema.index({ grams: 1 });
+SearchSuggestionSchema.index({ type: 1, city: 1 });
+SearchSuggestionSchema.index({ type: 1, tags: 1 });
+
+module.exports = mongoose.model("SearchSuggestion", SearchSuggestionSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Spots a user has already been shown in their feed. Entries expire after 30 days,
+// after which a spot may resurface.
+const SeenSpotSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+  seenAt: { type: Date, default: Date.now },
+});
+
+SeenSpotSchema.index({ user: 1, spot: 1 }, { unique: true });
+SeenSpotSchema.index({ seenAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("SeenSpot", SeenSpotSchema);
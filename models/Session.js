@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// A login session. Its refresh token is rotated on every use; only the hash of the
+// current token is stored, so presenting an older token of the same session is
+// treated as token theft and revokes the whole session.
+const SessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  tokenHash: { type: String, required: true },
+  userAgent: { type: String, default: "" },
+  device: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: "" },
+});
+
+// Expired sessions are pruned by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+module.exports = mongoose.model("Session", SessionSchema);
@@ -33,7 +33,18 @@ const commentSchema = new mongoose.Schema(
   { _id: true }
 );
 
-// Define the Image sub-schema
+// Define the Image variant sub-schema (one resized WebP rendition)
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+// Define the Image sub-schema. `url` is the large variant; photos uploaded before
+// variants existed only have `url`. The first photo is the spot's cover.
 const imageSchema = new mongoose.Schema(
   {
     url: {
@@ -41,16 +52,161 @@ const imageSchema = new mongoose.Schema(
       required: true,
       validate: {
         validator: function (v) {
-          return /^(https?:\/\/.*\.(?:png|jpg|jpeg|gif))?$/.test(v);
+          return /^(https?:\/\/.*\.(?:png|jpg|jpeg|gif|webp))?$/.test(v);
         },
         message: "Image URL must be a valid image URL",
       },
     },
+    key: {
+      type: String, // Storage key the variants were saved under
+    },
+    variants: {
+      thumbnail: { type: imageVariantSchema },
+      medium: { type: imageVariantSchema },
+      large: { type: imageVariantSchema },
+    },
+    width: { type: Number },
+    height: { type: Number },
+    blurhash: { type: String },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Caption cannot exceed 300 characters"],
+      default: "",
+    },
+    credit: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Credit cannot exceed 100 characters"],
+      default: "",
+    },
     uploadedAt: {
       type: Date,
       default: Date.now,
     },
   },
+  { _id: true }
+);
+
+// Define the Hotspot sub-schema: a link placed in one panorama that leads to another
+// panorama of the same spot. Yaw is degrees around the panorama (0-360), pitch is
+// degrees up or down from the horizon (-90 to 90).
+const hotspotSchema = new mongoose.Schema(
+  {
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    yaw: {
+      type: Number,
+      required: true,
+      min: [0, "Yaw must be between 0 and 360"],
+      max: [360, "Yaw must be between 0 and 360"],
+    },
+    pitch: {
+      type: Number,
+      default: 0,
+      min: [-90, "Pitch must be between -90 and 90"],
+      max: [90, "Pitch must be between -90 and 90"],
+    },
+    label: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Hotspot label cannot exceed 100 characters"],
+      default: "",
+    },
+  },
+  { _id: true }
+);
+
+// Define the Panorama sub-schema: an equirectangular 360° image (stored as WebP
+// variants like photos) or a short 360° video (stored as uploaded)
+const panoramaSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["image", "video"],
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true, // The full variant, or the video itself
+    },
+    key: {
+      type: String, // Storage key the files were saved under
+    },
+    contentType: {
+      type: String, // Videos only
+    },
+    variants: {
+      thumbnail: { type: imageVariantSchema },
+      preview: { type: imageVariantSchema },
+      full: { type: imageVariantSchema },
+    },
+    width: { type: Number },
+    height: { type: Number },
+    blurhash: { type: String },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Panorama title cannot exceed 100 characters"],
+      default: "",
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Panorama description cannot exceed 500 characters"],
+      default: "",
+    },
+    // Direction the viewer faces when the panorama opens
+    initialView: {
+      heading: {
+        type: Number,
+        default: 0,
+        min: [0, "Heading must be between 0 and 360"],
+        max: [360, "Heading must be between 0 and 360"],
+      },
+      pitch: {
+        type: Number,
+        default: 0,
+        min: [-90, "Pitch must be between -90 and 90"],
+        max: [90, "Pitch must be between -90 and 90"],
+      },
+    },
+    capturedAt: {
+      type: Date,
+    },
+    hotspots: {
+      type: [hotspotSchema],
+      default: [],
+    },
+    uploadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+// Define the possible duplicate sub-schema: a nearby spot with a similar name that the
+// submitter confirmed is a different place, kept for moderators
+const duplicateSchema = new mongoose.Schema(
+  {
+    spot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Spot",
+      required: true,
+    },
+    distanceM: {
+      type: Number,
+      min: 0,
+    },
+    confidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+    },
+  },
   { _id: false }
 );
 
@@ -73,10 +229,37 @@ const reportSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+    dismissedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    dismissedAt: {
+      type: Date,
+    },
   },
   { _id: true }
 );
 
+// Define the moderation review sub-schema
+const reviewSchema = new mongoose.Schema(
+  {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reviewer note cannot exceed 500 characters"],
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
 // Define the Spot schema
 const SpotSchema = new mongoose.Schema(
   {
@@ -166,11 +349,25 @@ const SpotSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    // Number of users who saved the spot (kept in step with SavedSpot)
+    saveCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     status: {
       type: String,
-      enum: ["pending", "approved", "rejected"],
+      enum: ["pending", "approved", "rejected", "hidden"],
       default: "pending",
     },
+    review: {
+      type: reviewSchema,
+      default: undefined,
+    },
+    possibleDuplicates: {
+      type: [duplicateSchema],
+      default: [],
+    },
     bestTimeToVisit: {
       type: String,
       trim: true,
@@ -189,6 +386,7 @@ const SpotSchema = new mongoose.Schema(
       min: 0,
       max: 5,
     },
+    // Single 360° image or video from before panoramas; kept for older clients
     view360: {
       imageUrl: {
         type: String,
@@ -207,6 +405,15 @@ const SpotSchema = new mongoose.Schema(
         default: "",
       },
     },
+    // 360° panoramas linked by hotspots into a virtual tour
+    panoramas: {
+      type: [panoramaSchema],
+      default: [],
+    },
+    // Where the tour starts; the first panorama when unset
+    startPanorama: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
   },
   { timestamps: true }
 );
@@ -214,9 +421,23 @@ const SpotSchema = new mongoose.Schema(
 // Indexes for performance
 SpotSchema.index({ location: "2dsphere" });
 SpotSchema.index({ createdAt: -1 });
+SpotSchema.index({ status: 1, createdAt: 1, _id: 1 });
 SpotSchema.index({ likedBy: 1 });
 SpotSchema.index({ "comments.createdAt": -1 });
-SpotSchema.index({ uniqueFacts: "text", bestTimeToVisit: "text" });
+SpotSchema.index(
+  {
+    name: "text",
+    tags: "text",
+    city: "text",
+    content: "text",
+    uniqueFacts: "text",
+    bestTimeToVisit: "text",
+  },
+  {
+    name: "SpotTextIndex",
+    weights: { name: 10, tags: 6, city: 5, content: 3, uniqueFacts: 2, bestTimeToVisit: 1 },
+  }
+);
 
 // Pre-save middleware to ensure tags are lowercase and compute averageRating
 SpotSchema.pre("save", function (next) {
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Per-spot engagement counters for one UTC day, incremented as events happen
+const SpotDailyStatsSchema = new mongoose.Schema({
+  spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+  date: { type: Date, required: true },
+  views: { type: Number, default: 0 },
+  uniqueViewers: { type: Number, default: 0 },
+  likes: { type: Number, default: 0 },
+  unlikes: { type: Number, default: 0 },
+  reviews: { type: Number, default: 0 },
+  ratingSum: { type: Number, default: 0 },
+  shares: { type: Number, default: 0 },
+});
+
+SpotDailyStatsSchema.index({ spot: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model("SpotDailyStats", SpotDailyStatsSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Who viewed a spot on a given UTC day, used to count unique viewers. `viewer` is
+// the user id, or a hash of IP and user agent for anonymous visitors. Entries are
+// removed by MongoDB after two days.
+const SpotDailyViewerSchema = new mongoose.Schema({
+  spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+  date: { type: Date, required: true },
+  viewer: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+SpotDailyViewerSchema.index({ spot: 1, date: 1, viewer: 1 }, { unique: true });
+SpotDailyViewerSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("SpotDailyViewer", SpotDailyViewerSchema);
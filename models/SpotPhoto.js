@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// Define the Image variant sub-schema (one resized WebP rendition)
+const imageVariantSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+// Define the moderation review sub-schema
+const reviewSchema = new mongoose.Schema(
+  {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reviewer note cannot exceed 500 characters"],
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+// A photo a visitor contributed to someone else's spot. It stays pending until the
+// spot's submitter or an admin approves it, and is then shown with the spot's photos.
+const SpotPhotoSchema = new mongoose.Schema(
+  {
+    spot: { type: mongoose.Schema.Types.ObjectId, ref: "Spot", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    url: { type: String, required: true }, // The large variant
+    key: { type: String }, // Storage key the variants were saved under
+    variants: {
+      thumbnail: { type: imageVariantSchema },
+      medium: { type: imageVariantSchema },
+      large: { type: imageVariantSchema },
+    },
+    width: { type: Number },
+    height: { type: Number },
+    blurhash: { type: String },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Caption cannot exceed 300 characters"],
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    review: {
+      type: reviewSchema,
+      default: undefined,
+    },
+    likedBy: {
+      type: [String], // Store user IDs, like Spot.likedBy
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+SpotPhotoSchema.index({ spot: 1, status: 1, createdAt: 1, _id: 1 });
+SpotPhotoSchema.index({ status: 1, createdAt: 1 });
+SpotPhotoSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("SpotPhoto", SpotPhotoSchema);
@@ -10,11 +10,20 @@ const UserSchema = new mongoose.Schema(
       trim: true,
       match: [/^\S+@\S+\.\S+$/, "Please use a valid email address"],
     },
+    emailVerified: { type: Boolean, default: false },
     password: {
       type: String,
-      required: true,
+      // Accounts created through Firebase sign-in have no local password
+      required: function () {
+        return !this.firebaseUid;
+      },
       minlength: 6,
     },
+    firebaseUid: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
     isAdmin: { type: Boolean, default: false },
     username: {
       type: String,
@@ -79,29 +88,48 @@ const UserSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
-    refreshTokens: {
-      type: [String],
-      default: [],
-    },
     isBanned: { type: Boolean, default: false },
+    banReason: { type: String, trim: true, default: "" },
+    suspendedUntil: { type: Date, default: null },
+    suspensionReason: { type: String, trim: true, default: "" },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
   },
   { timestamps: true }
 );
 
 // Indexes for performance
 UserSchema.index({ location: "2dsphere" });
+UserSchema.index({ lockedUntil: 1 });
+UserSchema.index({ lastActive: -1 });
+UserSchema.index({ createdAt: -1 });
 
-// Middleware to update lastActive on save
-UserSchema.pre("save", function (next) {
-  this.lastActive = new Date();
-  next();
-});
+// Returns the active ban or suspension (with an error code for API responses), or null
+UserSchema.methods.getRestriction = function () {
+  if (this.isBanned) {
+    return { code: "ACCOUNT_BANNED", error: "Account is banned", reason: this.banReason };
+  }
+  if (this.suspendedUntil && this.suspendedUntil > new Date()) {
+    return {
+      code: "ACCOUNT_SUSPENDED",
+      error: "Account is suspended",
+      reason: this.suspensionReason,
+      suspendedUntil: this.suspendedUntil,
+    };
+  }
+  return null;
+};
+
+// Is password login temporarily locked after repeated failures?
+UserSchema.methods.isLockedOut = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
 
-// Prevent password and refreshTokens from being returned in queries
+// Prevent password from being returned in queries
 UserSchema.set("toJSON", {
   transform: (doc, ret) => {
     delete ret.password;
-    delete ret.refreshTokens;
     return ret;
   },
 });
@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
+const { query, validationResult } = require("express-validator");
+const { getAdminAnalytics } = require("../services/adminAnalyticsService");
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731;
+
+const analyticsValidation = [
+  query("from").optional().isISO8601().toDate().withMessage("From must be an ISO 8601 date"),
+  query("to").optional().isISO8601().toDate().withMessage("To must be an ISO 8601 date"),
+  query("interval").optional().isIn(["day", "week", "month"]).withMessage("Interval must be day, week or month"),
+  query("refresh").optional().isBoolean().toBoolean().withMessage("Refresh must be a boolean"),
+];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Midnight UTC of the given day
+const dayStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Every admin analytics route is admin-only
+router.use(authMiddleware, adminMiddleware);
+
+// Platform analytics over whole UTC days (defaults to the last 30 days)
+router.get("/", analyticsValidation, validate, async (req, res, next) => {
+  try {
+    const to = new Date(dayStart(req.query.to || new Date()).getTime() + DAY - 1);
+    const from = dayStart(req.query.from || new Date(to.getTime() - 29 * DAY));
+    if (from > to) return res.status(400).json({ error: "From must be before to" });
+    if (to - from > MAX_RANGE_DAYS * DAY) {
+      return res.status(400).json({ error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` });
+    }
+
+    const analytics = await getAdminAnalytics(
+      { from, to, interval: req.query.interval || "day" },
+      { refresh: req.query.refresh === true }
+    );
+    res.status(200).json(analytics);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
+const { body, param, query, validationResult } = require("express-validator");
+const { recordAudit, snapshot } = require("../services/auditService");
+const { revokeAllSessions } = require("../services/sessionService");
+const { disconnectUser } = require("../sockets/userRooms");
+
+const RESTRICTION_FIELDS = ["isBanned", "banReason", "suspendedUntil", "suspensionReason"];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Every admin user route is admin-only
+router.use(authMiddleware, adminMiddleware);
+
+// Load the target user, refusing to act on yourself or on other admins
+const loadTarget = async (req, res) => {
+  const user = await User.findById(req.params.userId);
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  if (user._id.toString() === req.user.userId || user.isAdmin) {
+    res.status(400).json({ error: "Admins cannot be banned or suspended" });
+    return null;
+  }
+  return user;
+};
+
+// List accounts currently locked out of password login (with pagination)
+router.get(
+  "/lockouts",
+  [
+    query("page").optional().isInt({ min: 1 }).toInt().withMessage("Page must be a positive integer"),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt().withMessage("Limit must be between 1 and 100"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const skip = (page - 1) * limit;
+      const filter = { lockedUntil: { $gt: new Date() } };
+
+      const totalUsers = await User.countDocuments(filter);
+      const users = await User.find(filter)
+        .sort({ lockedUntil: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select("username email failedLoginAttempts lastFailedLoginAt lockedUntil")
+        .lean();
+
+      const totalPages = Math.ceil(totalUsers / limit);
+      res.status(200).json({ users, totalPages, total: totalUsers });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Clear a login lockout and the failed attempt counter
+router.delete(
+  "/:userId/lockout",
+  [param("userId").isMongoId().withMessage("Invalid user ID")],
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const fields = ["failedLoginAttempts", "lastFailedLoginAt", "lockedUntil"];
+      const before = snapshot(user, fields);
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null } }
+      );
+
+      await recordAudit(req, {
+        action: "user.lockout.clear",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null },
+      });
+
+      res.status(200).json({ message: "Lockout cleared successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Ban a user indefinitely and revoke all their sessions
+router.post(
+  "/:userId/ban",
+  [
+    param("userId").isMongoId().withMessage("Invalid user ID"),
+    body("reason").trim().notEmpty().withMessage("Reason is required")
+      .isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+
+      const before = snapshot(user, RESTRICTION_FIELDS);
+      user.isBanned = true;
+      user.banReason = req.body.reason;
+      await user.save();
+      await revokeAllSessions(user._id, { reason: "banned" });
+
+      await recordAudit(req, {
+        action: "user.ban",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user, RESTRICTION_FIELDS),
+        reason: req.body.reason,
+      });
+
+      disconnectUser(req.io, user._id);
+
+      res.status(200).json({ user, message: "User banned successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Suspend a user until a given date
+router.post(
+  "/:userId/suspend",
+  [
+    param("userId").isMongoId().withMessage("Invalid user ID"),
+    body("until")
+      .isISO8601()
+      .toDate()
+      .withMessage("Until must be an ISO 8601 date")
+      .custom((value) => value > new Date())
+      .withMessage("Until must be in the future"),
+    body("reason").trim().notEmpty().withMessage("Reason is required")
+      .isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await loadTarget(req, res);
+      if (!user) return;
+
+      const before = snapshot(user, RESTRICTION_FIELDS);
+      user.suspendedUntil = req.body.until;
+      user.suspensionReason = req.body.reason;
+      await user.save();
+
+      await recordAudit(req, {
+        action: "user.suspend",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user, RESTRICTION_FIELDS),
+        reason: req.body.reason,
+      });
+
+      disconnectUser(req.io, user._id);
+
+      res.status(200).json({ user, message: "User suspended successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Lift a ban and any suspension
+router.post(
+  "/:userId/unban",
+  [
+    param("userId").isMongoId().withMessage("Invalid user ID"),
+    body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const before = snapshot(user, RESTRICTION_FIELDS);
+      user.isBanned = false;
+      user.banReason = "";
+      user.suspendedUntil = null;
+      user.suspensionReason = "";
+      await user.save();
+
+      await recordAudit(req, {
+        action: "user.unban",
+        targetType: "User",
+        targetId: user._id,
+        before,
+        after: snapshot(user, RESTRICTION_FIELDS),
+        reason: req.body.reason,
+      });
+
+      res.status(200).json({ user, message: "User unbanned successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
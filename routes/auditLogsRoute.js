@@ -0,0 +1,123 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const AuditLog = require("../models/AuditLog");
+const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
+const { query, validationResult } = require("express-validator");
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const filterValidation = [
+  query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+  query("action").optional().isString().trim(),
+  query("targetType").optional().isIn(["Spot", "Post", "User"]).withMessage("Invalid target type"),
+  query("targetId").optional().isMongoId().withMessage("Invalid target ID"),
+  query("from").optional().isISO8601().toDate().withMessage("From must be an ISO 8601 date"),
+  query("to").optional().isISO8601().toDate().withMessage("To must be an ISO 8601 date"),
+];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Build a MongoDB filter from the query string
+const buildFilter = ({ actor, action, targetType, targetId, from, to }) => {
+  const filter = {};
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (targetType) filter.targetType = targetType;
+  if (targetId) filter.targetId = targetId;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return filter;
+};
+
+// Quote a value for CSV output; leading formula characters are escaped so
+// spreadsheet apps don't evaluate user-supplied text
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (value instanceof mongoose.Types.ObjectId) text = value.toString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Every audit log route is admin-only
+router.use(authMiddleware, adminMiddleware);
+
+// Query the audit log (with pagination and filters)
+router.get("/", filterValidation.concat(paginationValidation), validate, async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 50;
+    const skip = (page - 1) * limit;
+    const filter = buildFilter(req.query);
+
+    const totalLogs = await AuditLog.countDocuments(filter);
+    const logs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("actor", "username email")
+      .lean();
+
+    const totalPages = Math.ceil(totalLogs / limit);
+    res.status(200).json({ logs, totalPages, total: totalLogs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export the filtered audit log as CSV
+router.get("/export.csv", filterValidation, validate, async (req, res, next) => {
+  try {
+    const filter = buildFilter(req.query);
+    const columns = ["createdAt", "actor", "actorUsername", "action", "targetType", "targetId", "reason", "ip", "before", "after"];
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="audit-log-${Date.now()}.csv"`);
+    res.write(columns.join(",") + "\n");
+
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("actor", "username")
+      .lean()
+      .cursor();
+
+    for await (const log of cursor) {
+      const row = {
+        ...log,
+        actor: log.actor?._id || log.actor,
+        actorUsername: log.actor?.username || "",
+      };
+      res.write(columns.map((column) => csvCell(row[column])).join(",") + "\n");
+    }
+
+    res.end();
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require("express");
-const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
+const { authenticate, authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
 const authController = require("../controller/authController");
 const User = require("../models/User");
 const { body, param, validationResult } = require("express-validator");
+const rateLimit = require("express-rate-limit");
 
 const router = express.Router();
 
@@ -14,6 +15,52 @@ const signupValidation = [
     .matches(/^[a-zA-Z0-9_]+$/).withMessage("Display name can only contain letters, numbers, and underscores"),
 ];
 
+// Brute-force protection: per-IP limits on every attempt, per-account limits on
+// failed logins and on registrations for the same email
+const accountKey = (req) => String(req.body?.email || "").trim().toLowerCase() || req.ip;
+
+const loginIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: { error: "Too many login attempts from this IP, please try again later", code: "RATE_LIMITED" },
+});
+
+const loginAccountLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyGenerator: accountKey,
+  skipSuccessfulRequests: true,
+  message: { error: "Too many failed login attempts for this account, please try again later", code: "RATE_LIMITED" },
+});
+
+const registerIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: { error: "Too many accounts created from this IP, please try again later", code: "RATE_LIMITED" },
+});
+
+const registerAccountLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: accountKey,
+  message: { error: "Too many registration attempts for this email, please try again later", code: "RATE_LIMITED" },
+});
+
+// Password reset and verification emails share these limits, so neither endpoint can
+// be used to flood a mailbox
+const emailIpLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: { error: "Too many email requests from this IP, please try again later", code: "RATE_LIMITED" },
+});
+
+const emailAccountLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  keyGenerator: accountKey,
+  message: { error: "Too many email requests for this address, please try again later", code: "RATE_LIMITED" },
+});
+
 const validateId = [param("id").isMongoId().withMessage("Invalid user ID")];
 const validateUserId = [param("userId").isMongoId().withMessage("Invalid user ID")];
 
@@ -23,11 +70,68 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Derive an available username from an email address
+const usernameFromEmail = async (email) => {
+  const base = email.split("@")[0].replace(/[^a-zA-Z0-9_]/g, "_").slice(0, 14).padEnd(3, "_");
+  let username = base;
+  while (await User.exists({ username })) {
+    username = `${base}_${Math.floor(Math.random() * 100000)}`;
+  }
+  return username;
+};
+
 // POST /api/auth/register
-router.post("/register", ...signupValidation, validate, authController.signup);
+router.post("/register", registerIpLimiter, registerAccountLimiter, ...signupValidation, validate, authController.signup);
 
 // POST /api/auth/login
-router.post("/login", ...signupValidation.slice(0, 2), validate, authController.login);
+router.post("/login", loginIpLimiter, loginAccountLimiter, ...signupValidation.slice(0, 2), validate, authController.login);
+
+// POST /api/auth/forgot-password
+router.post(
+  "/forgot-password",
+  emailIpLimiter,
+  emailAccountLimiter,
+  body("email").trim().toLowerCase().isEmail().withMessage("Invalid email address"),
+  validate,
+  authController.forgotPassword
+);
+
+// POST /api/auth/reset-password
+router.post(
+  "/reset-password",
+  body("token").isString().notEmpty().withMessage("Token is required"),
+  body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
+  validate,
+  authController.resetPassword
+);
+
+// POST /api/auth/change-password
+router.post(
+  "/change-password",
+  authMiddleware,
+  body("currentPassword").notEmpty().withMessage("Current password is required"),
+  body("newPassword").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
+  validate,
+  authController.changePassword
+);
+
+// POST /api/auth/verify-email
+router.post(
+  "/verify-email",
+  body("token").isString().notEmpty().withMessage("Token is required"),
+  validate,
+  authController.verifyEmail
+);
+
+// POST /api/auth/resend-verification
+router.post(
+  "/resend-verification",
+  emailIpLimiter,
+  emailAccountLimiter,
+  body("email").trim().toLowerCase().isEmail().withMessage("Invalid email address"),
+  validate,
+  authController.resendVerification
+);
 
 // POST /api/auth/refresh
 router.post("/refresh", authController.refreshToken);
@@ -35,26 +139,44 @@ router.post("/refresh", authController.refreshToken);
 // POST /api/auth/logout
 router.post("/logout", authMiddleware, authController.logout);
 
+// GET /api/auth/sessions
+router.get("/sessions", authMiddleware, authController.listSessions);
+
+// DELETE /api/auth/sessions (all except the current one)
+router.delete("/sessions", authMiddleware, authController.revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:sessionId
+router.delete(
+  "/sessions/:sessionId",
+  authMiddleware,
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+  validate,
+  authController.revokeSession
+);
+
 // POST /api/auth/ensure-user
-router.post("/ensure-user", authMiddleware, async (req, res, next) => {
+router.post("/ensure-user", authenticate({ allowUnregistered: true }), async (req, res, next) => {
   try {
-    const { userId, email } = req.user;
-    let user = await User.findById(userId);
+    const { userId, email, firebaseUid } = req.user;
+    let user = userId ? await User.findById(userId) : null;
 
     if (!user) {
+      if (!email) {
+        return res.status(400).json({ error: "An email address is required to create an account" });
+      }
+      if (await User.exists({ email: email.toLowerCase() })) {
+        return res.status(409).json({ error: "An account with this email already exists; verify your email to link it" });
+      }
       user = new User({
         email,
-        username: email.split("@")[0],
+        firebaseUid,
+        username: await usernameFromEmail(email),
         profilePic: "",
         bio: "",
         followers: [],
         following: [],
-        refreshTokens: [],
       });
       await user.save();
-    } else if (user.email !== email) {
-      user.email = email;
-      await user.save();
     }
 
     res.status(200).json({
@@ -0,0 +1,316 @@
+const express = require("express");
+const router = express.Router();
+const Spot = require("../models/Spot");
+const User = require("../models/User");
+const Collection = require("../models/Collection");
+const CollectionFollow = require("../models/CollectionFollow");
+const { authMiddleware, optionalAuthMiddleware } = require("../middleware/authMiddleware");
+const { body, param, query, validationResult } = require("express-validator");
+const { notify } = require("../services/notificationService");
+const { pageOptions, paginateFind } = require("../services/paginationService");
+const {
+  isOwner,
+  canView,
+  describeCollection,
+  addItem,
+  reorderItems,
+  followCollection,
+  unfollowCollection,
+  deleteCollection,
+} = require("../services/collectionService");
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+const paginationValidation = [
+  query("page").optional().isInt({ min: 1 }).toInt().withMessage("Page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt().withMessage("Limit must be between 1 and 100"),
+];
+
+const cursorValidation = [
+  query("cursor").optional().isString().isLength({ max: 500 }).withMessage("Invalid cursor"),
+];
+
+const idValidation = [param("id").isMongoId().withMessage("Invalid collection ID")];
+
+// Collection body validation (shared by create and update)
+const collectionValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("name").isString().trim().notEmpty().withMessage("Name is required")
+      .isLength({ max: 80 }).withMessage("Name cannot exceed 80 characters"),
+    body("description").optional().isString().trim()
+      .isLength({ max: 500 }).withMessage("Description cannot exceed 500 characters"),
+    body("visibility").optional().isIn(["private", "unlisted", "public"])
+      .withMessage("Visibility must be private, unlisted or public"),
+  ];
+};
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Load a collection the current user owns
+const loadOwned = async (req, res) => {
+  const collection = await Collection.findById(req.params.id);
+  if (!collection) {
+    res.status(404).json({ error: "Collection not found" });
+    return null;
+  }
+  if (!isOwner(collection, req.user.userId)) {
+    res.status(403).json({ error: "Unauthorized: You can only modify your own collections" });
+    return null;
+  }
+  return collection;
+};
+
+// Load a collection the current user may see (private ones look missing to others)
+const loadVisible = async (req, res) => {
+  const collection = await Collection.findById(req.params.id).populate("user", "username profilePic").lean();
+  if (!collection || !canView(collection, req.user?.userId)) {
+    res.status(404).json({ error: "Collection not found" });
+    return null;
+  }
+  return collection;
+};
+
+const respond = async (req, res, collection, status = 200) =>
+  res.status(status).json({ collection: await describeCollection(collection.toObject(), { userId: req.user.userId }) });
+
+// Fetch the current user's collections, newest first (page or cursor pagination)
+router.get("/", authMiddleware, paginationValidation.concat(cursorValidation), validate, async (req, res, next) => {
+  try {
+    const { items: collections, ...pageInfo } = await paginateFind(Collection, { user: req.user.userId }, {
+      sort: NEWEST_FIRST,
+      ...pageOptions(req),
+    });
+    res.status(200).json({ collections, ...pageInfo });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fetch public collections, optionally by one user or containing a spot (page or cursor pagination)
+router.get(
+  "/public",
+  [
+    query("user").optional().isMongoId().withMessage("Invalid user ID"),
+    query("spot").optional().isMongoId().withMessage("Invalid spot ID"),
+  ].concat(paginationValidation, cursorValidation),
+  validate,
+  async (req, res, next) => {
+    try {
+      const filter = { visibility: "public" };
+      if (req.query.user) filter.user = req.query.user;
+      if (req.query.spot) filter["items.spot"] = req.query.spot;
+
+      const { items: collections, ...pageInfo } = await paginateFind(Collection, filter, {
+        sort: NEWEST_FIRST,
+        ...pageOptions(req),
+        decorate: (query) => query.populate("user", "username profilePic"),
+      });
+      res.status(200).json({ collections, ...pageInfo });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Fetch the collections the current user follows, most recently followed first
+router.get("/following", authMiddleware, paginationValidation.concat(cursorValidation), validate, async (req, res, next) => {
+  try {
+    const { items: follows, ...pageInfo } = await paginateFind(CollectionFollow, { user: req.user.userId }, {
+      sort: NEWEST_FIRST,
+      ...pageOptions(req),
+      decorate: (query) =>
+        query.populate({ path: "collectionId", populate: { path: "user", select: "username profilePic" } }),
+    });
+
+    // Collections made private since being followed are left out
+    const collections = follows
+      .map((follow) => follow.collectionId)
+      .filter((collection) => collection && canView(collection, req.user.userId));
+    res.status(200).json({ collections, ...pageInfo });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fetch a collection with its spots in order
+router.get("/:id", optionalAuthMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const collection = await loadVisible(req, res);
+    if (!collection) return;
+
+    res.status(200).json({ collection: await describeCollection(collection, { userId: req.user?.userId }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a collection
+router.post("/", authMiddleware, collectionValidation(false), validate, async (req, res, next) => {
+  try {
+    const collection = await Collection.create({
+      user: req.user.userId,
+      name: req.body.name,
+      description: req.body.description,
+      visibility: req.body.visibility,
+    });
+    await respond(req, res, collection, 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a collection's name, description or visibility
+router.put("/:id", authMiddleware, idValidation.concat(collectionValidation(true)), validate, async (req, res, next) => {
+  try {
+    const collection = await loadOwned(req, res);
+    if (!collection) return;
+
+    ["name", "description", "visibility"].forEach((field) => {
+      if (req.body[field] !== undefined) collection[field] = req.body[field];
+    });
+    await collection.save();
+    await respond(req, res, collection);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a collection
+router.delete("/:id", authMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const collection = await loadOwned(req, res);
+    if (!collection) return;
+
+    await deleteCollection(collection);
+    res.status(200).json({ message: "Collection deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a spot, at `position` or at the end
+router.post(
+  "/:id/spots",
+  authMiddleware,
+  idValidation.concat([
+    body("spotId").isMongoId().withMessage("Invalid spot ID"),
+    body("note").optional().isString().trim().isLength({ max: 300 }).withMessage("Note cannot exceed 300 characters"),
+    body("position").optional().isInt({ min: 0 }).toInt().withMessage("Position must be a non-negative integer"),
+  ]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const collection = await loadOwned(req, res);
+      if (!collection) return;
+
+      const spot = await Spot.findById(req.body.spotId).select("status submittedBy").lean();
+      if (!spot || (spot.status !== "approved" && spot.submittedBy.toString() !== req.user.userId)) {
+        return res.status(404).json({ error: "Spot not found" });
+      }
+
+      addItem(collection, { spotId: spot._id, note: req.body.note, position: req.body.position });
+      await collection.save();
+      await respond(req, res, collection);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a spot
+router.delete(
+  "/:id/spots/:spotId",
+  authMiddleware,
+  idValidation.concat([param("spotId").isMongoId().withMessage("Invalid spot ID")]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const collection = await loadOwned(req, res);
+      if (!collection) return;
+
+      const index = collection.items.findIndex((item) => item.spot.toString() === req.params.spotId);
+      if (index === -1) return res.status(404).json({ error: "Spot not in this collection" });
+
+      collection.items.splice(index, 1);
+      await collection.save();
+      await respond(req, res, collection);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Reorder the spots; `spotIds` lists every spot in the new order
+router.put(
+  "/:id/order",
+  authMiddleware,
+  idValidation.concat([
+    body("spotIds").isArray().withMessage("Spot IDs must be a list"),
+    body("spotIds.*").isMongoId().withMessage("Invalid spot ID"),
+  ]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const collection = await loadOwned(req, res);
+      if (!collection) return;
+
+      reorderItems(collection, req.body.spotIds);
+      await collection.save();
+      await respond(req, res, collection);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Follow a public or unlisted collection
+router.post("/:id/follow", authMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const collection = await loadVisible(req, res);
+    if (!collection) return;
+    if (isOwner(collection, req.user.userId)) {
+      return res.status(400).json({ error: "You cannot follow your own collection" });
+    }
+
+    if (!(await followCollection(req.user.userId, collection))) {
+      return res.status(400).json({ error: "You already follow this collection" });
+    }
+
+    const follower = await User.findById(req.user.userId).select("username");
+    await notify(req.io, {
+      userId: collection.user._id,
+      type: "follow",
+      event: "newCollectionFollower",
+      actor: follower._id,
+      relatedId: collection._id,
+      relatedModel: "Collection",
+      data: { collectionId: collection._id, collectionName: collection.name, userId: follower._id, username: follower.username },
+    });
+
+    res.status(200).json({ message: `You are now following ${collection.name}` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unfollow a collection
+router.delete("/:id/follow", authMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const collection = await Collection.findById(req.params.id).select("name").lean();
+    if (!collection) return res.status(404).json({ error: "Collection not found" });
+
+    if (!(await unfollowCollection(req.user.userId, collection))) {
+      return res.status(400).json({ error: "You do not follow this collection" });
+    }
+    res.status(200).json({ message: `You unfollowed ${collection.name}` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
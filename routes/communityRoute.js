@@ -2,9 +2,14 @@ const express = require("express");
 const router = express.Router();
 const Post = require("../models/Post");
 const User = require("../models/User");
-const { authMiddleware } = require("../middleware/authMiddleware");
-const { body, query, validationResult } = require("express-validator");
+const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
+const { body, param, query, validationResult } = require("express-validator");
 const rateLimit = require("express-rate-limit");
+const upload = require("../middleware/upload");
+const { notify } = require("../services/notificationService");
+const { recordAudit, snapshot } = require("../services/auditService");
+const { pageOptions, paginateFind } = require("../services/paginationService");
+const { storeUploads, removeImage } = require("../services/imageService");
 
 // ✅ Rate limiter for likes and comments (to prevent spam)
 const likeCommentLimiter = rateLimit({
@@ -21,6 +26,11 @@ const paginationValidation = [
     .isInt({ min: 1, max: 100 }).withMessage("Limit must be between 1 and 100"),
 ];
 
+// ✅ Opaque cursor for cursor pagination (an empty value starts at the first page)
+const cursorValidation = [
+  query("cursor").optional().isString().isLength({ max: 500 }).withMessage("Invalid cursor"),
+];
+
 // ✅ Middleware to validate request data
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -28,29 +38,195 @@ const validate = (req, res, next) => {
   next();
 };
 
-// **GET /api/community/posts** - Fetch paginated approved posts
-router.get("/posts", paginationValidation, validate, async (req, res, next) => {
+// **GET /api/community/posts** - Fetch approved posts, newest first (page or cursor pagination)
+router.get("/posts", paginationValidation.concat(cursorValidation), validate, async (req, res, next) => {
   console.log("🚀 Fetching community posts with query:", req.query);
 
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-
-    const totalPosts = await Post.countDocuments({ status: "approved" });
-    const posts = await Post.find({ status: "approved" })
-      .skip(skip)
-      .limit(limit)
-      .populate("user", "username profilePic")
-      .lean();
+    const { items: posts, ...pageInfo } = await paginateFind(Post, { status: "approved" }, {
+      sort: { createdAt: -1, _id: -1 },
+      ...pageOptions(req),
+      decorate: (query) => query.populate("user", "username profilePic"),
+    });
 
-    res.status(200).json({ posts, totalPages: Math.ceil(totalPosts / limit) });
+    res.status(200).json({ posts, ...pageInfo });
   } catch (error) {
     console.error("❌ Error fetching posts:", error);
     next(error);
   }
 });
 
+// ✅ Post body validation (shared by create and edit)
+const postValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("title").trim().notEmpty().withMessage("Title is required")
+      .isLength({ max: 100 }).withMessage("Title cannot exceed 100 characters"),
+    field("content").trim().notEmpty().withMessage("Content is required")
+      .isLength({ max: 2000 }).withMessage("Content cannot exceed 2000 characters"),
+    field("location").trim().notEmpty().withMessage("Location is required")
+      .isLength({ max: 200 }).withMessage("Location cannot exceed 200 characters"),
+    body("tags").optional().customSanitizer(value => [].concat(value)),
+    body("tags.*").optional().isString().trim()
+      .isLength({ max: 50 }).withMessage("Tag cannot exceed 50 characters"),
+  ];
+};
+
+// **POST /api/community/posts** - Create a post (held for moderation)
+router.post(
+  "/posts",
+  authMiddleware,
+  upload.array("images", 10),
+  postValidation(false),
+  validate,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.user.userId);
+      if (!user) return res.status(404).json({ error: "User not found" });
+
+      const images = await storeUploads(req.files, { folder: "posts" });
+
+      const post = new Post({
+        title: req.body.title,
+        content: req.body.content,
+        location: req.body.location,
+        tags: req.body.tags || [],
+        images,
+        user: user._id,
+        status: "pending",
+      });
+
+      await post.save();
+      res.status(201).json({ post, message: "Post submitted for review" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// **PUT /api/community/posts/:postId** - Edit your own post (re-enters moderation)
+router.put(
+  "/posts/:postId",
+  authMiddleware,
+  upload.array("images", 10),
+  [param("postId").isMongoId().withMessage("Invalid post ID")].concat(postValidation(true)),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      const post = await Post.findById(postId);
+      if (!post) return res.status(404).json({ error: `Post with ID ${postId} not found` });
+
+      if (post.user.toString() !== req.user.userId) {
+        return res.status(403).json({ error: "Unauthorized: You can only edit your own posts" });
+      }
+
+      if (req.body.title) post.title = req.body.title;
+      if (req.body.content) post.content = req.body.content;
+      if (req.body.location) post.location = req.body.location;
+      if (req.body.tags) post.tags = req.body.tags;
+      if (req.files && req.files.length > 0) {
+        post.images = [...post.images, ...(await storeUploads(req.files, { folder: "posts" }))];
+      }
+      post.status = "pending";
+
+      await post.save();
+      res.status(200).json({ post, message: "Post updated and awaiting re-approval" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// **DELETE /api/community/posts/:postId** - Delete your own post (admins can delete any)
+router.delete(
+  "/posts/:postId",
+  authMiddleware,
+  [param("postId").isMongoId().withMessage("Invalid post ID")],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      const post = await Post.findById(postId);
+      if (!post) return res.status(404).json({ error: `Post with ID ${postId} not found` });
+
+      if (post.user.toString() !== req.user.userId && !req.user.isAdmin) {
+        return res.status(403).json({ error: "Unauthorized: You can only delete your own posts" });
+      }
+
+      await post.deleteOne();
+      await Promise.all(post.images.map(removeImage));
+
+      if (post.user.toString() !== req.user.userId) {
+        await recordAudit(req, {
+          action: "post.delete",
+          targetType: "Post",
+          targetId: post._id,
+          before: snapshot(post),
+          reason: req.body?.reason,
+        });
+      }
+
+      if (req.io) {
+        req.io.to(postId).emit("postDeleted", { postId });
+      }
+
+      res.status(200).json({ message: "Post deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// **PATCH /api/community/posts/:postId/status** - Admin: approve or reject a post
+router.patch(
+  "/posts/:postId/status",
+  authMiddleware,
+  adminMiddleware,
+  [
+    param("postId").isMongoId().withMessage("Invalid post ID"),
+    body("status").isIn(["pending", "approved", "rejected"]).withMessage("Invalid status"),
+    body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { postId } = req.params;
+      const post = await Post.findById(postId);
+      if (!post) return res.status(404).json({ error: `Post with ID ${postId} not found` });
+
+      const before = snapshot(post, ["status"]);
+      post.status = req.body.status;
+      await post.save();
+
+      await recordAudit(req, {
+        action: "post.status",
+        targetType: "Post",
+        targetId: post._id,
+        before,
+        after: snapshot(post, ["status"]),
+        reason: req.body.reason,
+      });
+
+      if (post.status !== "pending") {
+        await notify(req.io, {
+          userId: post.user,
+          type: "post",
+          event: "postStatusUpdated",
+          actor: req.user.userId,
+          relatedId: post._id,
+          relatedModel: "Post",
+          data: { postId: post._id, status: post.status },
+        });
+      }
+
+      res.status(200).json({ post, message: "Post status updated successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // **GET /api/community/posts/:postId/comments** - Fetch comments for a post
 router.get("/posts/:postId/comments", async (req, res, next) => {
   console.log("🚀 Fetching comments for post:", req.params.postId);
@@ -0,0 +1,273 @@
+const express = require("express");
+const router = express.Router();
+const Itinerary = require("../models/Itinerary");
+const { authMiddleware, optionalAuthMiddleware } = require("../middleware/authMiddleware");
+const { body, param, query, validationResult } = require("express-validator");
+const { pageOptions, paginateFind } = require("../services/paginationService");
+const {
+  assertSpotsAvailable,
+  describeItinerary,
+  optimizeItinerary,
+  generateShareToken,
+} = require("../services/itineraryService");
+
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+const paginationValidation = [
+  query("page").optional().isInt({ min: 1 }).toInt().withMessage("Page must be a positive integer"),
+  query("limit").optional().isInt({ min: 1, max: 100 }).toInt().withMessage("Limit must be between 1 and 100"),
+];
+
+const cursorValidation = [
+  query("cursor").optional().isString().isLength({ max: 500 }).withMessage("Invalid cursor"),
+];
+
+const idValidation = [param("id").isMongoId().withMessage("Invalid itinerary ID")];
+
+// Itinerary body validation (shared by create and update)
+const itineraryValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field("title").isString().trim().notEmpty().withMessage("Title is required")
+      .isLength({ max: 100 }).withMessage("Title cannot exceed 100 characters"),
+    body("description").optional().isString().trim()
+      .isLength({ max: 1000 }).withMessage("Description cannot exceed 1000 characters"),
+    body("startDate").optional({ values: "null" }).isISO8601().toDate().withMessage("Start date must be an ISO 8601 date"),
+    body("endDate").optional({ values: "null" }).isISO8601().toDate().withMessage("End date must be an ISO 8601 date")
+      .custom((value, { req }) => !req.body.startDate || !value || value >= req.body.startDate)
+      .withMessage("End date must not be before the start date"),
+    body("visibility").optional().isIn(["private", "public"]).withMessage("Visibility must be private or public"),
+    body("days").optional().isArray({ max: 30 }).withMessage("Days must be a list of at most 30 days"),
+    body("days.*.date").optional({ values: "null" }).isISO8601().toDate().withMessage("Day date must be an ISO 8601 date"),
+    body("days.*.title").optional().isString().trim()
+      .isLength({ max: 100 }).withMessage("Day title cannot exceed 100 characters"),
+    body("days.*.notes").optional().isString().trim()
+      .isLength({ max: 1000 }).withMessage("Day notes cannot exceed 1000 characters"),
+    body("days.*.stops").optional().isArray({ max: 25 }).withMessage("A day can have at most 25 stops"),
+    body("days.*.stops.*.spot").isMongoId().withMessage("Invalid spot ID"),
+    body("days.*.stops.*.note").optional().isString().trim()
+      .isLength({ max: 500 }).withMessage("Stop note cannot exceed 500 characters"),
+  ];
+};
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Only the whitelisted fields of submitted days
+const toDays = (days) =>
+  days.map(({ date, title, notes, stops = [] }) => ({
+    date,
+    title,
+    notes,
+    stops: stops.map(({ spot, note }) => ({ spot, note })),
+  }));
+
+const shareLink = (token) => `${APP_URL}/itineraries/shared/${token}`;
+
+const isOwner = (req, itinerary) => !!req.user && itinerary.user._id.toString() === req.user.userId;
+
+// Load an itinerary the current user owns
+const loadOwned = async (req, res) => {
+  const itinerary = await Itinerary.findById(req.params.id);
+  if (!itinerary) {
+    res.status(404).json({ error: "Itinerary not found" });
+    return null;
+  }
+  if (!isOwner(req, itinerary)) {
+    res.status(403).json({ error: "Unauthorized: You can only modify your own itineraries" });
+    return null;
+  }
+  return itinerary;
+};
+
+const respond = async (res, itinerary, status = 200) => {
+  const view = await describeItinerary(itinerary.toObject(), { isOwner: true });
+  res.status(status).json({ itinerary: { ...view, shareUrl: view.shareToken ? shareLink(view.shareToken) : null } });
+};
+
+// Fetch the current user's itineraries, newest first (page or cursor pagination)
+router.get("/", authMiddleware, paginationValidation.concat(cursorValidation), validate, async (req, res, next) => {
+  try {
+    const { items: itineraries, ...pageInfo } = await paginateFind(Itinerary, { user: req.user.userId }, {
+      sort: NEWEST_FIRST,
+      ...pageOptions(req),
+    });
+    res.status(200).json({ itineraries, ...pageInfo });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fetch public itineraries, optionally only those visiting a spot (page or cursor pagination)
+router.get(
+  "/public",
+  [query("spot").optional().isMongoId().withMessage("Invalid spot ID")].concat(paginationValidation, cursorValidation),
+  validate,
+  async (req, res, next) => {
+    try {
+      const filter = { visibility: "public" };
+      if (req.query.spot) filter["days.stops.spot"] = req.query.spot;
+
+      const { items: itineraries, ...pageInfo } = await paginateFind(Itinerary, filter, {
+        sort: NEWEST_FIRST,
+        ...pageOptions(req),
+        decorate: (query) => query.select("-shareToken").populate("user", "username profilePic"),
+      });
+      res.status(200).json({ itineraries, ...pageInfo });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Fetch an itinerary read-only through its share link
+router.get(
+  "/shared/:token",
+  [param("token").isString().isLength({ min: 16, max: 64 }).withMessage("Invalid share token")],
+  validate,
+  async (req, res, next) => {
+    try {
+      const itinerary = await Itinerary.findOne({ shareToken: req.params.token })
+        .populate("user", "username profilePic")
+        .lean();
+      if (!itinerary) return res.status(404).json({ error: "Itinerary not found" });
+
+      res.status(200).json({ itinerary: await describeItinerary(itinerary) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Fetch an itinerary with distances and suggested ordering (owner, or anyone if public)
+router.get("/:id", optionalAuthMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const itinerary = await Itinerary.findById(req.params.id).populate("user", "username profilePic").lean();
+    const owner = itinerary && isOwner(req, itinerary);
+    if (!itinerary || (!owner && itinerary.visibility !== "public")) {
+      return res.status(404).json({ error: "Itinerary not found" });
+    }
+
+    const view = await describeItinerary(itinerary, { isOwner: owner });
+    if (owner) view.shareUrl = view.shareToken ? shareLink(view.shareToken) : null;
+    res.status(200).json({ itinerary: view });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create an itinerary
+router.post("/", authMiddleware, itineraryValidation(false), validate, async (req, res, next) => {
+  try {
+    const days = toDays(req.body.days || []);
+    await assertSpotsAvailable(days, req.user.userId);
+
+    const itinerary = await Itinerary.create({
+      user: req.user.userId,
+      title: req.body.title,
+      description: req.body.description,
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      visibility: req.body.visibility,
+      days,
+    });
+    await respond(res, itinerary, 201);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update an itinerary; `days` replaces the whole plan
+router.put("/:id", authMiddleware, idValidation.concat(itineraryValidation(true)), validate, async (req, res, next) => {
+  try {
+    const itinerary = await loadOwned(req, res);
+    if (!itinerary) return;
+
+    ["title", "description", "startDate", "endDate", "visibility"].forEach((field) => {
+      if (req.body[field] !== undefined) itinerary[field] = req.body[field];
+    });
+    if (itinerary.startDate && itinerary.endDate && itinerary.endDate < itinerary.startDate) {
+      return res.status(400).json({ error: "End date must not be before the start date" });
+    }
+    if (req.body.days !== undefined) {
+      const days = toDays(req.body.days);
+      await assertSpotsAvailable(days, req.user.userId);
+      itinerary.days = days;
+    }
+
+    await itinerary.save();
+    await respond(res, itinerary);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete an itinerary
+router.delete("/:id", authMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const itinerary = await loadOwned(req, res);
+    if (!itinerary) return;
+
+    await itinerary.deleteOne();
+    res.status(200).json({ message: "Itinerary deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Apply the suggested nearest-neighbour order to one day (`day` index) or every day
+router.post(
+  "/:id/optimize",
+  authMiddleware,
+  idValidation.concat([body("day").optional().isInt({ min: 0 }).toInt().withMessage("Day must be a day index")]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const itinerary = await loadOwned(req, res);
+      if (!itinerary) return;
+      if (req.body.day !== undefined && req.body.day >= itinerary.days.length) {
+        return res.status(400).json({ error: "Day not found in this itinerary" });
+      }
+
+      await optimizeItinerary(itinerary, req.body.day);
+      await itinerary.save();
+      await respond(res, itinerary);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create (or rotate) the read-only share link
+router.post("/:id/share", authMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const itinerary = await loadOwned(req, res);
+    if (!itinerary) return;
+
+    itinerary.shareToken = generateShareToken();
+    await itinerary.save();
+    res.status(200).json({ shareToken: itinerary.shareToken, shareUrl: shareLink(itinerary.shareToken) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke the share link
+router.delete("/:id/share", authMiddleware, idValidation, validate, async (req, res, next) => {
+  try {
+    const itinerary = await loadOwned(req, res);
+    if (!itinerary) return;
+
+    itinerary.shareToken = undefined;
+    await itinerary.save();
+    res.status(200).json({ message: "Share link revoked successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,395 @@
+const express = require("express");
+const router = express.Router();
+const Spot = require("../models/Spot");
+const Post = require("../models/Post");
+const SpotPhoto = require("../models/SpotPhoto");
+const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
+const { body, param, query, validationResult } = require("express-validator");
+const { notify } = require("../services/notificationService");
+const { recordAudit, snapshot } = require("../services/auditService");
+const { syncSpotSuggestions } = require("../services/suggestionService");
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Every moderation route is admin-only
+router.use(authMiddleware, adminMiddleware);
+
+// Tell the author that their spot or post has been reviewed
+const emitStatusUpdate = async (io, type, doc) => {
+  if (type === "spot") {
+    await notify(io, {
+      userId: doc.submittedBy,
+      type: "spot",
+      event: "spotStatusUpdated",
+      actor: doc.review?.reviewedBy,
+      relatedId: doc._id,
+      relatedModel: "Spot",
+      data: { spotId: doc._id, status: doc.status, note: doc.review?.note || "" },
+    });
+    return;
+  }
+
+  await notify(io, {
+    userId: doc.user,
+    type: "post",
+    event: "postStatusUpdated",
+    actor: doc.review?.reviewedBy,
+    relatedId: doc._id,
+    relatedModel: "Post",
+    data: { postId: doc._id, status: doc.status, note: doc.review?.note || "" },
+  });
+};
+
+// Fetch pending spots, oldest first (with pagination). Spots submitted despite likely
+// duplicates list them in `possibleDuplicates`; `duplicates=true` shows only those.
+router.get(
+  "/spots",
+  [query("duplicates").optional().isBoolean().toBoolean().withMessage("duplicates must be a boolean")].concat(paginationValidation),
+  validate,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const skip = (page - 1) * limit;
+
+      const filter = { status: "pending" };
+      if (req.query.duplicates) filter["possibleDuplicates.0"] = { $exists: true };
+
+      const totalSpots = await Spot.countDocuments(filter);
+      const spots = await Spot.find(filter)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("submittedBy", "username profilePic")
+        .populate("possibleDuplicates.spot", "name city location status photos")
+        .lean();
+
+      // Duplicates deleted since are left out
+      spots.forEach((spot) => {
+        spot.possibleDuplicates = (spot.possibleDuplicates || []).filter((duplicate) => duplicate.spot);
+      });
+
+      const totalPages = Math.ceil(totalSpots / limit);
+      res.status(200).json({ spots, totalPages, total: totalSpots });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Fetch pending community posts, oldest first (with pagination)
+router.get("/posts", paginationValidation, validate, async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const totalPosts = await Post.countDocuments({ status: "pending" });
+    const posts = await Post.find({ status: "pending" })
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("user", "username profilePic")
+      .lean();
+
+    const totalPages = Math.ceil(totalPosts / limit);
+    res.status(200).json({ posts, totalPages, total: totalPosts });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fetch pending contributed spot photos, oldest first (with pagination)
+router.get("/photos", paginationValidation, validate, async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const totalPhotos = await SpotPhoto.countDocuments({ status: "pending" });
+    const photos = await SpotPhoto.find({ status: "pending" })
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("user", "username profilePic")
+      .populate("spot", "name city submittedBy")
+      .lean();
+
+    const totalPages = Math.ceil(totalPhotos / limit);
+    res.status(200).json({ photos, totalPages, total: totalPhotos });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fetch reported spots grouped by open report count (with pagination)
+router.get("/reports", paginationValidation, validate, async (req, res, next) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const skip = (page - 1) * limit;
+
+    const openReports = {
+      $filter: {
+        input: "$reports",
+        as: "report",
+        cond: { $not: ["$$report.dismissedAt"] },
+      },
+    };
+
+    const [result] = await Spot.aggregate([
+      { $match: { "reports.0": { $exists: true } } },
+      { $addFields: { openReports } },
+      { $addFields: { reportCount: { $size: "$openReports" } } },
+      { $match: { reportCount: { $gt: 0 } } },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          spots: [
+            { $sort: { reportCount: -1, updatedAt: -1 } },
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $lookup: {
+                from: "users",
+                localField: "submittedBy",
+                foreignField: "_id",
+                as: "user",
+              },
+            },
+            { $unwind: { path: "$user", preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                name: 1,
+                city: 1,
+                status: 1,
+                photos: 1,
+                submittedBy: 1,
+                username: "$user.username",
+                reportCount: 1,
+                reports: {
+                  $map: {
+                    input: "$openReports",
+                    as: "report",
+                    in: {
+                      _id: "$$report._id",
+                      reportedBy: "$$report.reportedBy",
+                      reason: "$$report.reason",
+                      createdAt: "$$report.createdAt",
+                    },
+                  },
+                },
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const totalSpots = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(totalSpots / limit);
+    res.status(200).json({ spots: result.spots, totalPages, total: totalSpots });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Bulk approve or reject spots or posts with a reviewer note
+router.post(
+  "/bulk",
+  [
+    body("type").isIn(["spot", "post"]).withMessage("Type must be spot or post"),
+    body("ids").isArray({ min: 1, max: 100 }).withMessage("IDs must be an array of 1 to 100 items"),
+    body("ids.*").isMongoId().withMessage("Invalid ID"),
+    body("status").isIn(["approved", "rejected"]).withMessage("Invalid status"),
+    body("note").optional().isString().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const { type, ids, status, note } = req.body;
+      const Model = type === "spot" ? Spot : Post;
+
+      const docs = await Model.find({ _id: { $in: ids } });
+      const review = {
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date(),
+        note: note || "",
+      };
+
+      // One write for the whole batch, so it is never left half applied
+      await Model.updateMany({ _id: { $in: docs.map((doc) => doc._id) } }, { $set: { status, review } });
+
+      for (const doc of docs) {
+        const before = snapshot(doc, ["status", "review"]);
+        doc.status = status;
+        doc.review = review;
+        if (type === "spot") await syncSpotSuggestions(doc);
+
+        await recordAudit(req, {
+          action: `${type}.status`,
+          targetType: Model.modelName,
+          targetId: doc._id,
+          before,
+          after: snapshot(doc, ["status", "review"]),
+          reason: review.note,
+        });
+        await emitStatusUpdate(req.io, type, doc);
+      }
+
+      const foundIds = docs.map((doc) => doc._id.toString());
+      res.status(200).json({
+        updated: foundIds,
+        notFound: ids.filter((id) => !foundIds.includes(id)),
+        message: `${foundIds.length} ${type}(s) ${status}`,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Dismiss open reports on a spot (all of them, or only the given reportIds)
+router.post(
+  "/reports/:spotId/dismiss",
+  [
+    param("spotId").isMongoId().withMessage("Invalid spot ID"),
+    body("reportIds").optional().isArray().withMessage("Report IDs must be an array"),
+    body("reportIds.*").optional().isMongoId().withMessage("Invalid report ID"),
+    body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await Spot.findById(req.params.spotId);
+      if (!spot) return res.status(404).json({ error: "Spot not found" });
+
+      const reportIds = req.body.reportIds;
+      const dismissedReports = [];
+      spot.reports.forEach((report) => {
+        if (report.dismissedAt) return;
+        if (reportIds && !reportIds.includes(report._id.toString())) return;
+        report.dismissedBy = req.user.userId;
+        report.dismissedAt = new Date();
+        dismissedReports.push({ _id: report._id, reason: report.reason });
+      });
+
+      await spot.save();
+
+      const dismissed = dismissedReports.length;
+      if (dismissed > 0) {
+        await recordAudit(req, {
+          action: "spot.reports.dismiss",
+          targetType: "Spot",
+          targetId: spot._id,
+          before: { reports: dismissedReports },
+          after: { dismissed },
+          reason: req.body.reason,
+        });
+      }
+      res.status(200).json({ dismissed, message: "Reports dismissed successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Hide a spot from every public listing
+router.post(
+  "/spots/:id/hide",
+  [
+    param("id").isMongoId().withMessage("Invalid spot ID"),
+    body("note").optional().isString().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await Spot.findById(req.params.id);
+      if (!spot) return res.status(404).json({ error: "Spot not found" });
+
+      const before = snapshot(spot, ["status", "review"]);
+      spot.status = "hidden";
+      spot.review = {
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date(),
+        note: req.body.note || "",
+      };
+      await spot.save();
+      await syncSpotSuggestions(spot);
+
+      await recordAudit(req, {
+        action: "spot.hide",
+        targetType: "Spot",
+        targetId: spot._id,
+        before,
+        after: snapshot(spot, ["status", "review"]),
+        reason: req.body.note,
+      });
+      await emitStatusUpdate(req.io, "spot", spot);
+
+      res.status(200).json({ spot, message: "Spot hidden successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore a hidden spot
+router.post(
+  "/spots/:id/unhide",
+  [
+    param("id").isMongoId().withMessage("Invalid spot ID"),
+    body("note").optional().isString().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await Spot.findById(req.params.id);
+      if (!spot) return res.status(404).json({ error: "Spot not found" });
+      if (spot.status !== "hidden") return res.status(400).json({ error: "Spot is not hidden" });
+
+      const before = snapshot(spot, ["status", "review"]);
+      spot.status = "approved";
+      spot.review = {
+        reviewedBy: req.user.userId,
+        reviewedAt: new Date(),
+        note: req.body.note || "",
+      };
+      await spot.save();
+      await syncSpotSuggestions(spot);
+
+      await recordAudit(req, {
+        action: "spot.unhide",
+        targetType: "Spot",
+        targetId: spot._id,
+        before,
+        after: snapshot(spot, ["status", "review"]),
+        reason: req.body.note,
+      });
+      await emitStatusUpdate(req.io, "spot", spot);
+
+      res.status(200).json({ spot, message: "Spot restored successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
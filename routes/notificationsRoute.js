@@ -0,0 +1,137 @@
+const express = require("express");
+const router = express.Router();
+const Notification = require("../models/Notification");
+const { authMiddleware } = require("../middleware/authMiddleware");
+const { param, query, validationResult } = require("express-validator");
+
+const paginationValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+  next();
+};
+
+// Fetch the current user's notifications (with pagination)
+router.get(
+  "/",
+  authMiddleware,
+  [query("unread").optional().isBoolean().toBoolean().withMessage("Unread must be a boolean")].concat(
+    paginationValidation
+  ),
+  validate,
+  async (req, res, next) => {
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const skip = (page - 1) * limit;
+
+      const filter = { userId: req.user.userId };
+      if (req.query.unread) filter.read = false;
+
+      const totalNotifications = await Notification.countDocuments(filter);
+      const notifications = await Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("actor", "username profilePic")
+        .lean();
+      const unreadCount = await Notification.countDocuments({ userId: req.user.userId, read: false });
+
+      const totalPages = Math.ceil(totalNotifications / limit);
+      res.status(200).json({ notifications, totalPages, unreadCount });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Fetch the unread notification count
+router.get("/unread-count", authMiddleware, async (req, res, next) => {
+  try {
+    const count = await Notification.countDocuments({ userId: req.user.userId, read: false });
+    res.status(200).json({ count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all notifications as read
+router.patch("/read-all", authMiddleware, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.userId, read: false },
+      { $set: { read: true } }
+    );
+
+    if (req.io) {
+      req.io.to(req.user.userId.toString()).emit("notificationsRead", { all: true });
+    }
+
+    res.status(200).json({ updated: result.modifiedCount, message: "All notifications marked as read" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a single notification as read
+router.patch(
+  "/:id/read",
+  authMiddleware,
+  [param("id").isMongoId().withMessage("Invalid notification ID")],
+  validate,
+  async (req, res, next) => {
+    try {
+      const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.id, userId: req.user.userId },
+        { $set: { read: true } },
+        { new: true }
+      );
+      if (!notification) return res.status(404).json({ error: "Notification not found" });
+
+      if (req.io) {
+        req.io.to(req.user.userId.toString()).emit("notificationsRead", {
+          notificationIds: [notification._id],
+        });
+      }
+
+      res.status(200).json({ notification, message: "Notification marked as read" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a notification
+router.delete(
+  "/:id",
+  authMiddleware,
+  [param("id").isMongoId().withMessage("Invalid notification ID")],
+  validate,
+  async (req, res, next) => {
+    try {
+      const notification = await Notification.findOneAndDelete({
+        _id: req.params.id,
+        userId: req.user.userId,
+      });
+      if (!notification) return res.status(404).json({ error: "Notification not found" });
+
+      res.status(200).json({ message: "Notification deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
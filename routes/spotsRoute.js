@@ -2,11 +2,44 @@ const express = require("express");
 const router = express.Router();
 const Spot = require("../models/Spot");
 const User = require("../models/User");
-const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
+const Post = require("../models/Post");
+const SpotPhoto = require("../models/SpotPhoto");
+const { authMiddleware, optionalAuthMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
 const { body, param, query, validationResult } = require("express-validator");
 const rateLimit = require("express-rate-limit");
+const winston = require("winston");
 const upload = require("../middleware/upload");
+const mediaUpload = require("../middleware/mediaUpload");
+const { notify, notifyAdmins } = require("../services/notificationService");
+const { recordAudit, snapshot } = require("../services/auditService");
+const { pageOptions, paginateFind } = require("../services/paginationService");
+const { viewerKey, recordEvent, removeEvents } = require("../services/engagementService");
+const { getSpotAnalytics, getContributorAnalytics } = require("../services/spotStatsService");
+const { WINDOWS: TRENDING_WINDOWS } = require("../services/trendingService");
+const { suggest, syncSpotSuggestions } = require("../services/suggestionService");
+const { findDuplicateSpots, visibleDuplicates, duplicateFlags } = require("../services/duplicateSpotService");
+const { storeUploads, removeImage } = require("../services/imageService");
+const {
+  CONTRIBUTOR_FIELDS,
+  contributePhotos,
+  presentContribution,
+  listSpotImages,
+  reviewContribution,
+  removeContribution,
+  setContributionLike,
+} = require("../services/photoContributionService");
+const {
+  MAX_PANORAMAS,
+  storePanoramaMedia,
+  removePanoramaMedia,
+  addPanorama,
+  removePanoramaFromTour,
+  addHotspot,
+  describeTour,
+} = require("../services/panoramaService");
+const { cleanUpDeletedSpot } = require("../services/spotCleanupService");
 const {fetchFeed,
+  markFeedSeen,
   fetchTrendingSpots,
   fetchRecommendations,
   likeSpot,
@@ -20,12 +53,48 @@ const {fetchFeed,
   searchSpots,
   reportSpot} =require('../controller/spotController')
 
+// Setup Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const MAX_SPOT_PHOTOS = 30;
+
 const likeCommentLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 50,
   message: "Too many likes/comments, slow down!",
 });
 
+const contributionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  message: "Too many photo uploads, slow down!",
+});
+
+const shareLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: "Too many shares, slow down!",
+});
+
 const paginationValidation = [
   query("page")
     .optional()
@@ -39,38 +108,60 @@ const paginationValidation = [
     .withMessage("Limit must be between 1 and 100"),
 ];
 
+// Opaque cursor for cursor pagination; an empty value starts at the first page
+const cursorValidation = [
+  query("cursor").optional().isString().isLength({ max: 500 }).withMessage("Invalid cursor"),
+];
+
 const validate = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
   next();
 };
 
-// Fetch all spots (with pagination)
-router.get("/", paginationValidation, validate, async (req, res, next) => {
-  try {
-    const page = req.query.page || 1;
-    const limit = req.query.limit || 10;
-    const skip = (page - 1) * limit;
+// Spots awaiting or failing moderation, and everything listed under them, are only
+// visible to their submitter and admins. `submittedBy` may be populated or not.
+const canViewSpot = (req, spot) => {
+  if (!spot) return false;
+  if (spot.status === "approved" || req.user?.isAdmin) return true;
+  const submitter = spot.submittedBy?._id || spot.submittedBy;
+  return !!req.user && !!submitter && submitter.toString() === req.user.userId;
+};
 
-    const totalSpots = await Spot.countDocuments({ status: "approved" });
-    const spots = await Spot.find({ status: "approved" })
-      .skip(skip)
-      .limit(limit)
-      .populate("submittedBy", "username profilePic")
-      .lean();
+// Fetch all spots, newest first (with page or cursor pagination)
+router.get("/", paginationValidation.concat(cursorValidation), validate, async (req, res, next) => {
+  try {
+    const { items: spots, ...pageInfo } = await paginateFind(Spot, { status: "approved" }, {
+      sort: NEWEST_FIRST,
+      ...pageOptions(req),
+      decorate: (query) => query.populate("submittedBy", "username profilePic"),
+    });
 
-    const totalPages = Math.ceil(totalSpots / limit);
-    res.status(200).json({ spots, totalPages });
+    res.status(200).json({ spots, ...pageInfo });
   } catch (error) {
     next(error);
   }
 });
 
+// Nearby spots with similar names that the user can see are sent back for them to
+// check (409); resubmitting with confirmNotDuplicate saves the spot anyway, and every
+// likely duplicate is kept in possibleDuplicates for moderators. Returns true if sent.
+const rejectDuplicates = (req, res, duplicates) => {
+  const visible = visibleDuplicates(duplicates, req.user.userId);
+  if (!visible.length || req.body.confirmNotDuplicate) return false;
+  res.status(409).json({
+    error: "This spot may already exist",
+    duplicates: visible,
+    message: "Resubmit with confirmNotDuplicate set to true if this is a different place",
+  });
+  return true;
+};
+
 // Submit a new spot
 router.post(
   "/",
   authMiddleware,
-  upload.array("photos", 100),
+  upload.array("photos", 20),
   [
     body("name").notEmpty().withMessage("Name is required"),
     body("content").notEmpty().withMessage("Content is required"),
@@ -103,6 +194,7 @@ router.post(
       .optional()
       .isLength({ max: 200 })
       .withMessage("360 view description cannot exceed 200 characters"),
+    body("confirmNotDuplicate").optional().isBoolean().toBoolean().withMessage("confirmNotDuplicate must be a boolean"),
   ],
   validate,
   async (req, res, next) => {
@@ -110,10 +202,6 @@ router.post(
       const user = await User.findById(req.user.userId);
       if (!user) return res.status(404).json({ error: "User not found" });
 
-      const photos = (req.files || []).map((file) => ({
-        url: file.path,
-        uploadedAt: new Date(),
-      }));
       const coordinates = req.body["location.coordinates"];
       const longitude = coordinates && Array.isArray(coordinates) ? parseFloat(coordinates[0]) : null;
       const latitude = coordinates && Array.isArray(coordinates) ? parseFloat(coordinates[1]) : null;
@@ -127,6 +215,11 @@ router.post(
         coordinates: [longitude, latitude],
       };
 
+      const duplicates = await findDuplicateSpots({ name: req.body.name, coordinates: [longitude, latitude] });
+      if (rejectDuplicates(req, res, duplicates)) return;
+
+      const photos = await storeUploads(req.files, { folder: "spots" });
+
       const spot = new Spot({
         name: req.body.name,
         content: req.body.content,
@@ -143,9 +236,15 @@ router.post(
         },
         submittedBy: user._id,
         status: "pending",
+        possibleDuplicates: duplicateFlags(duplicates),
       });
 
-      await spot.save();
+      try {
+        await spot.save();
+      } catch (error) {
+        await Promise.all(photos.map(removeImage));
+        throw error;
+      }
       res.status(201).json({ spot, message: "Spot submitted successfully" });
     } catch (error) {
       next(error);
@@ -153,41 +252,35 @@ router.post(
   }
 );
 
-// Fetch personalized feed (with pagination)
-router.get("/feed", authMiddleware, paginationValidation, validate, async (req, res, next) => {
-  try {
-    const page = req.query.page || 1;
-    const limit = req.query.limit || 10;
-    const skip = (page - 1) * limit;
-
-    const user = await User.findById(req.user.userId);
-    if (!user) return res.status(404).json({ error: "User not found" });
-
-    const totalSpots = await Spot.countDocuments({
-      tags: { $in: user.interests || [] },
-      status: "approved",
-    });
-    const spots = await Spot.find({
-      tags: { $in: user.interests || [] },
-      status: "approved",
-    })
-      .skip(skip)
-      .limit(limit)
-      .populate("submittedBy", "username profilePic")
-      .lean();
+// Fetch the personalized, ranked feed (with page or cursor pagination)
+router.get(
+  "/feed",
+  authMiddleware,
+  [query("includeSeen").optional().isBoolean().toBoolean().withMessage("includeSeen must be a boolean")].concat(
+    paginationValidation,
+    cursorValidation
+  ),
+  validate,
+  fetchFeed
+);
 
-    const totalPages = Math.ceil(totalSpots / limit);
-    res.status(200).json({ spots, totalPages });
-  } catch (error) {
-    next(error);
-  }
-});
+// Mark feed spots as seen so they are not shown again
+router.post(
+  "/feed/seen",
+  authMiddleware,
+  [
+    body("spotIds").isArray({ min: 1, max: 100 }).withMessage("Spot IDs must be an array of 1 to 100 items"),
+    body("spotIds.*").isMongoId().withMessage("Invalid spot ID"),
+  ],
+  validate,
+  markFeedSeen
+);
 
 // Admin analytics for spots
 router.get("/admin/analytics", authMiddleware, adminMiddleware, async (req, res, next) => {
   try {
     const totalSpots = await Spot.countDocuments({ status: "approved" });
-    const totalPosts = await Post.countDocuments(); // Assumes Post model exists
+    const totalPosts = await Post.countDocuments({ status: "approved" });
 
     const popularCategories = await Spot.aggregate([
       { $match: { status: "approved" } },
@@ -198,19 +291,13 @@ router.get("/admin/analytics", authMiddleware, adminMiddleware, async (req, res,
       { $project: { name: "$_id", count: 1, _id: 0 } },
     ]);
 
-    const popularSpots = await Spot.find({ status: "approved" })
-      .sort({ "likedBy.length": -1 })
-      .limit(5)
-      .select("name likedBy views")
-      .lean()
-      .then((spots) =>
-        spots.map((spot) => ({
-          id: spot._id,
-          name: spot.name,
-          views: spot.views || 0,
-          saves: spot.likedBy.length,
-        }))
-      );
+    const popularSpots = await Spot.aggregate([
+      { $match: { status: "approved" } },
+      { $addFields: { likes: { $size: { $ifNull: ["$likedBy", []] } }, saves: { $ifNull: ["$saveCount", 0] } } },
+      { $sort: { saves: -1, likes: -1, _id: -1 } },
+      { $limit: 5 },
+      { $project: { _id: 0, id: "$_id", name: 1, views: { $ifNull: ["$views", 0] }, likes: 1, saves: 1 } },
+    ]);
 
     res.status(200).json({
       totalSpots,
@@ -223,168 +310,40 @@ router.get("/admin/analytics", authMiddleware, adminMiddleware, async (req, res,
   }
 });
 
-// Fetch personalized recommendations (with pagination)
-// Fetch personalized recommendations (with pagination)
-router.get("/recommend", authMiddleware, paginationValidation, validate, async (req, res, next) => {
-  try {
-    const page = req.query.page || 1;
-    const limit = req.query.limit || 10;
-    const skip = (page - 1) * limit;
-
-    console.log("Received user ID from JWT:", req.user.userId); // Debug log
-
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      console.error("User not found for ID:", req.user.userId);
-      return res.status(404).json({ error: "User not found" });
-    }
+// Fetch personalized recommendations with explanations (with pagination)
+router.get("/recommend", authMiddleware, paginationValidation, validate, fetchRecommendations);
 
-    let totalSpots;
-    let spots;
-
-    if (user.interests && user.interests.length > 0) {
-      totalSpots = await Spot.countDocuments({
-        tags: { $in: user.interests },
-        likedBy: { $nin: [req.user.userId] },
-        status: "approved",
-      });
-      spots = await Spot.aggregate([
-        {
-          $match: {
-            tags: { $in: user.interests },
-            likedBy: { $nin: [req.user.userId] },
-            status: "approved",
-          },
-        },
-        {
-          $addFields: {
-            interestMatch: {
-              $size: { $setIntersection: ["$tags", user.interests] },
-            },
-            recencyScore: { $divide: [{ $subtract: [new Date(), "$createdAt"] }, 86400000] }, // Days since creation
-          },
-        },
-        {
-          $sort: {
-            interestMatch: -1,
-            recencyScore: 1, // Lower is more recent
-            averageRating: -1,
-          },
-        },
-        { $skip: skip },
-        { $limit: limit },
-        {
-          $lookup: {
-            from: "users",
-            localField: "submittedBy",
-            foreignField: "_id",
-            as: "user",
-          },
-        },
-        { $unwind: "$user" },
-        {
-          $project: {
-            _id: 1,
-            name: 1,
-            photos: 1,
-            tags: 1,
-            location: 1,
-            averageRating: 1,
-            comments: 1,
-            content: 1,
-            likedBy: 1,
-            username: "$user.username",
-            profilePic: "$user.profilePic",
-          },
-        },
-      ]);
-    } else {
-      totalSpots = await Spot.countDocuments({ status: "approved" });
-      spots = await Spot.find({ status: "approved" })
-        .sort({ "likedBy.length": -1, createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .populate("submittedBy", "username profilePic")
-        .lean();
-    }
-
-    const totalPages = Math.ceil(totalSpots / limit);
-    res.status(200).json({ spots, totalPages });
-  } catch (error) {
-    console.error("Recommendation error:", error);
-    next(error);
-  }
-});
-
-// Fetch trending spots
-router.get("/trending", paginationValidation, validate, async (req, res, next) => {
-  try {
-    const page = req.query.page || 1;
-    const limit = req.query.limit || 10;
-    const skip = (page - 1) * limit;
-    const totalSpots = await Spot.countDocuments({ status: "approved" });
-
-    const spots = await Spot.aggregate([
-      { $match: { status: "approved" } },
-      {
-        $project: {
-          name: 1,
-          content: 1,
-          photos: 1,
-          location: 1,
-          tags: 1,
-          likedBy: 1,
-          comments: 1,
-          views: 1,
-          submittedBy: 1,
-          createdAt: 1,
-          likeCount: { $size: "$likedBy" },
-          commentCount: { $size: "$comments" },
-        },
-      },
-      {
-        $sort: {
-          likeCount: -1,
-          commentCount: -1,
-          createdAt: -1,
-        },
-      },
-      { $skip: skip },
-      { $limit: limit },
-      {
-        $lookup: {
-          from: "users",
-          localField: "submittedBy",
-          foreignField: "_id",
-          as: "user",
-        },
-      },
-      { $unwind: "$user" },
-      {
-        $project: {
-          name: 1,
-          content: 1,
-          photos: 1,
-          location: 1,
-          tags: 1,
-          likedBy: 1,
-          comments: 1,
-          views: 1,
-          createdAt: 1,
-          username: "$user.username",
-          profilePic: "$user.profilePic",
-          likeCount: 1,
-          commentCount: 1,
-        },
-      },
-    ]);
-
-    const totalPages = Math.ceil(totalSpots / limit);
-    res.status(200).json({ spots, totalPages });
-  } catch (error) {
-    next(error);
-  }
-});
+// Fetch trending spots by time-decayed engagement (with pagination)
+router.get(
+  "/trending",
+  [
+    query("window").optional().isIn(Object.keys(TRENDING_WINDOWS)).withMessage(`Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(", ")}`),
+    query("city").optional().isString().trim().isLength({ max: 100 }).withMessage("City cannot exceed 100 characters"),
+    query("lat")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .toFloat()
+      .withMessage("Latitude must be between -90 and 90")
+      .custom((value, { req }) => req.query.lon !== undefined)
+      .withMessage("Latitude and longitude must be given together"),
+    query("lon")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .toFloat()
+      .withMessage("Longitude must be between -180 and 180")
+      .custom((value, { req }) => req.query.lat !== undefined)
+      .withMessage("Latitude and longitude must be given together"),
+    query("radius")
+      .optional()
+      .isFloat({ min: 1, max: 500 })
+      .toFloat()
+      .withMessage("Radius must be between 1 and 500 km")
+      .custom((value, { req }) => req.query.lat !== undefined && req.query.lon !== undefined)
+      .withMessage("Radius requires latitude and longitude"),
+  ].concat(paginationValidation),
+  validate,
+  fetchTrendingSpots
+);
 
 // Fetch spots by distance
 router.get(
@@ -393,159 +352,184 @@ router.get(
     query("lat").isFloat({ min: -90, max: 90 }).withMessage("Latitude must be between -90 and 90"),
     query("lon").isFloat({ min: -180, max: 180 }).withMessage("Longitude must be between -180 and 180"),
     query("radius").isFloat({ min: 0 }).withMessage("Radius must be a positive number"),
-  ].concat(paginationValidation),
+  ].concat(paginationValidation, cursorValidation),
   validate,
   async (req, res, next) => {
     try {
       const lat = parseFloat(req.query.lat);
       const lon = parseFloat(req.query.lon);
       const radius = parseFloat(req.query.radius) * 1000; // Convert km to meters
-      const page = req.query.page || 1;
-      const limit = req.query.limit || 10;
-      const skip = (page - 1) * limit;
 
-      const totalSpots = await Spot.countDocuments({
+      const filter = {
         location: {
           $geoWithin: {
             $centerSphere: [[lon, lat], radius / 6378137], // Convert meters to radians
           },
         },
         status: "approved",
+      };
+      const { items: spots, ...pageInfo } = await paginateFind(Spot, filter, {
+        sort: NEWEST_FIRST,
+        ...pageOptions(req),
+        decorate: (query) => query.populate("submittedBy", "username profilePic"),
       });
 
-      const spots = await Spot.find({
-        location: {
-          $geoWithin: {
-            $centerSphere: [[lon, lat], radius / 6378137],
-          },
-        },
-        status: "approved",
-      })
-        .skip(skip)
-        .limit(limit)
-        .populate("submittedBy", "username profilePic")
-        .lean();
-
-      const totalPages = Math.ceil(totalSpots / limit);
-      res.status(200).json({ spots, totalPages });
+      res.status(200).json({ spots, ...pageInfo });
     } catch (error) {
       next(error);
     }
   }
 );
 
-// Search spots by query
+// Search validation: free text plus optional filters, sort and location
+const TAGS = Spot.schema.path("tags").caster.enumValues;
+const DIFFICULTIES = Spot.schema.path("difficulty").enumValues;
+
+const searchValidation = [
+  query("query").optional().isString().trim().isLength({ max: 200 }).withMessage("Search query cannot exceed 200 characters"),
+  query("q").optional().isString().trim().isLength({ max: 200 }).withMessage("Search query cannot exceed 200 characters"),
+  query("tags")
+    .optional()
+    .customSanitizer((value) => [].concat(value).flatMap((tag) => String(tag).split(",")).map((tag) => tag.trim()).filter(Boolean))
+    .custom((tags) => tags.every((tag) => TAGS.includes(tag)))
+    .withMessage(`Tags must be among: ${TAGS.join(", ")}`),
+  query("difficulty").optional().isIn(DIFFICULTIES).withMessage(`Difficulty must be one of: ${DIFFICULTIES.join(", ")}`),
+  query("city").optional().isString().trim().isLength({ max: 100 }).withMessage("City cannot exceed 100 characters"),
+  query("minRating").optional().isFloat({ min: 0, max: 5 }).toFloat().withMessage("Minimum rating must be between 0 and 5"),
+  query("lat")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .toFloat()
+    .withMessage("Latitude must be between -90 and 90")
+    .custom((value, { req }) => req.query.lon !== undefined)
+    .withMessage("Latitude and longitude must be given together"),
+  query("lon")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .toFloat()
+    .withMessage("Longitude must be between -180 and 180")
+    .custom((value, { req }) => req.query.lat !== undefined)
+    .withMessage("Latitude and longitude must be given together"),
+  query("radius")
+    .optional()
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage("Radius must be a positive number")
+    .custom((value, { req }) => req.query.lat !== undefined && req.query.lon !== undefined)
+    .withMessage("Radius requires latitude and longitude"),
+  query("sort")
+    .optional()
+    .isIn(["relevance", "rating", "newest", "popular", "distance"])
+    .withMessage("Sort must be relevance, rating, newest, popular or distance"),
+];
+
+// Search spots by text, ranked by relevance, with filters and facet counts
+router.get("/search", searchValidation.concat(paginationValidation, cursorValidation), validate, searchSpots);
+
+// Fetch typo-tolerant autocomplete suggestions for spots, cities and tags
 router.get(
-  "/search",
-  [query("query").notEmpty().withMessage("Search query is required")].concat(paginationValidation),
+  "/search/suggestions",
+  [
+    query("q").trim().notEmpty().withMessage("Search query is required")
+      .isLength({ max: 100 }).withMessage("Search query cannot exceed 100 characters"),
+    query("limit").optional().isInt({ min: 1, max: 20 }).toInt().withMessage("Limit must be between 1 and 20"),
+    query("types")
+      .optional()
+      .customSanitizer((value) => [].concat(value).flatMap((type) => String(type).split(",")).map((type) => type.trim()).filter(Boolean))
+      .custom((types) => types.every((type) => ["spot", "city", "tag"].includes(type)))
+      .withMessage("Types must be among: spot, city, tag"),
+  ],
   validate,
   async (req, res, next) => {
     try {
-      const { query: searchQuery, page = 1, limit = 10 } = req.query;
-      const skip = (page - 1) * limit;
-
-      const totalSpots = await Spot.countDocuments({
-        $or: [
-          { name: { $regex: searchQuery, $options: "i" } },
-          { content: { $regex: searchQuery, $options: "i" } },
-          { tags: { $in: [new RegExp(searchQuery, "i")] } },
-        ],
-        status: "approved",
+      const suggestions = await suggest(req.query.q, {
+        limit: req.query.limit || 10,
+        types: req.query.types,
       });
-
-      const spots = await Spot.find({
-        $or: [
-          { name: { $regex: searchQuery, $options: "i" } },
-          { content: { $regex: searchQuery, $options: "i" } },
-          { tags: { $in: [new RegExp(searchQuery, "i")] } },
-        ],
-        status: "approved",
-      })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate("submittedBy", "username profilePic")
-        .lean();
-
-      const totalPages = Math.ceil(totalSpots / limit);
-      res.status(200).json({ spots, totalPages });
+      res.status(200).json(suggestions);
     } catch (error) {
       next(error);
     }
   }
 );
 
-// Fetch search suggestions
+// Filter spots by tags
 router.get(
-  "/search/suggestions",
-  [query("q").notEmpty().withMessage("Search query is required")],
+  "/tags/:tag",
+  paginationValidation.concat(cursorValidation),
+  [param("tag").notEmpty().withMessage("Tag is required")],
   validate,
   async (req, res, next) => {
     try {
-      const searchQuery = req.query.q;
-
-      const spots = await Spot.find({
-        $or: [
-          { name: { $regex: searchQuery, $options: "i" } },
-          { content: { $regex: searchQuery, $options: "i" } },
-          { tags: { $in: [new RegExp(searchQuery, "i")] } },
-        ],
-        status: "approved",
-      })
-        .limit(10)
-        .select("name tags")
-        .lean();
-
-      const suggestions = new Set();
-      spots.forEach((spot) => {
-        if (spot.name.toLowerCase().includes(searchQuery.toLowerCase())) {
-          suggestions.add(spot.name);
-        }
-        spot.tags.forEach((tag) => {
-          if (tag.toLowerCase().includes(searchQuery.toLowerCase())) {
-            suggestions.add(tag);
-          }
-        });
+      const filter = { tags: req.params.tag, status: "approved" };
+      const { items: spots, ...pageInfo } = await paginateFind(Spot, filter, {
+        sort: NEWEST_FIRST,
+        ...pageOptions(req),
+        decorate: (query) => query.populate("submittedBy", "username profilePic"),
       });
 
-      res.status(200).json([...suggestions].slice(0, 10));
+      res.status(200).json({ spots, ...pageInfo });
     } catch (error) {
       next(error);
     }
   }
 );
 
-// Filter spots by tags
-router.get("/tags/:tag", paginationValidation, [param("tag").notEmpty().withMessage("Tag is required")], validate, async (req, res, next) => {
+// Analytics date range: `from` and `to` (inclusive, UTC days), defaulting to the last 30 days
+const analyticsValidation = [
+  query("from").optional().isISO8601().toDate().withMessage("From must be an ISO 8601 date"),
+  query("to").optional().isISO8601().toDate().withMessage("To must be an ISO 8601 date"),
+];
+
+const analyticsRange = (req, res) => {
+  const to = req.query.to || new Date();
+  const from = req.query.from || new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+  if (from > to) {
+    res.status(400).json({ error: "From must be before to" });
+    return null;
+  }
+  if (to - from > 366 * 24 * 60 * 60 * 1000) {
+    res.status(400).json({ error: "Date range cannot exceed 366 days" });
+    return null;
+  }
+  return { from, to };
+};
+
+// Fetch engagement analytics across the current user's spots (with pagination of spots)
+router.get("/analytics", authMiddleware, analyticsValidation.concat(paginationValidation), validate, async (req, res, next) => {
   try {
-    const tag = req.params.tag;
-    const page = req.query.page || 1;
-    const limit = req.query.limit || 10;
-    const skip = (page - 1) * limit;
-
-    const totalSpots = await Spot.countDocuments({ tags: tag, status: "approved" });
-    const spots = await Spot.find({ tags: tag, status: "approved" })
-      .skip(skip)
-      .limit(limit)
-      .populate("submittedBy", "username profilePic")
-      .lean();
+    const range = analyticsRange(req, res);
+    if (!range) return;
 
-    const totalPages = Math.ceil(totalSpots / limit);
-    res.status(200).json({ spots, totalPages });
+    const analytics = await getContributorAnalytics(req.user.userId, {
+      ...range,
+      page: req.query.page || 1,
+      limit: req.query.limit || 10,
+    });
+    res.status(200).json(analytics);
   } catch (error) {
     next(error);
   }
 });
 
 // Fetch a single spot by ID
-router.get("/:id", [param("id").isMongoId().withMessage("Invalid spot ID")], validate, async (req, res, next) => {
+router.get("/:id", optionalAuthMiddleware, [param("id").isMongoId().withMessage("Invalid spot ID")], validate, async (req, res, next) => {
   try {
     const spot = await Spot.findById(req.params.id)
       .populate("submittedBy", "username profilePic")
       .populate("comments.user", "username profilePic")
       .lean();
-    if (!spot) return res.status(404).json({ error: "Spot not found" });
-
-    await Spot.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
+    if (!canViewSpot(req, spot)) return res.status(404).json({ error: "Spot not found" });
+
+    // Counting the view is best-effort and must not hold up or fail the response
+    if (spot.status === "approved") {
+      Promise.all([
+        Spot.updateOne({ _id: spot._id }, { $inc: { views: 1 } }),
+        recordEvent({ type: "view", spotId: spot._id, userId: req.user?.userId, viewer: viewerKey(req) }),
+      ]).catch((error) => {
+        logger.error("Failed to record spot view", { spotId: spot._id.toString(), error: error.message });
+      });
+    }
 
     res.status(200).json(spot);
   } catch (error) {
@@ -553,17 +537,39 @@ router.get("/:id", [param("id").isMongoId().withMessage("Invalid spot ID")], val
   }
 });
 
-// Fetch spot images
-router.get("/:id/images", [param("id").isMongoId().withMessage("Invalid spot ID")], validate, async (req, res, next) => {
+// Fetch spot images: the spot's own photos, then approved contributions with likes
+router.get("/:id/images", optionalAuthMiddleware, [param("id").isMongoId().withMessage("Invalid spot ID")], validate, async (req, res, next) => {
   try {
-    const spot = await Spot.findById(req.params.id).select("photos").lean();
-    if (!spot) return res.status(404).json({ error: "Spot not found" });
-    res.status(200).json(spot.photos || []);
+    const spot = await Spot.findById(req.params.id)
+      .select("photos submittedBy status")
+      .populate("submittedBy", CONTRIBUTOR_FIELDS)
+      .lean();
+    if (!canViewSpot(req, spot)) return res.status(404).json({ error: "Spot not found" });
+    res.status(200).json(await listSpotImages(spot, req.user?.userId));
   } catch (error) {
     next(error);
   }
 });
 
+// Load a spot whose photos the current user may manage (the submitter or an admin)
+const loadPhotoEditableSpot = async (req, res) => {
+  const spot = await Spot.findById(req.params.id);
+  if (!spot) {
+    res.status(404).json({ error: "Spot not found" });
+    return null;
+  }
+  if (spot.submittedBy.toString() !== req.user.userId && !req.user.isAdmin) {
+    res.status(403).json({ error: "Unauthorized: You can only manage photos of your own spots" });
+    return null;
+  }
+  return spot;
+};
+
+const photoParams = [
+  param("id").isMongoId().withMessage("Invalid spot ID"),
+  param("photoId").isMongoId().withMessage("Invalid photo ID"),
+];
+
 // Upload images to a spot
 router.post(
   "/:id/images",
@@ -573,20 +579,22 @@ router.post(
   validate,
   async (req, res, next) => {
     try {
-      const spot = await Spot.findById(req.params.id);
-      if (!spot) return res.status(404).json({ error: "Spot not found" });
+      const spot = await loadPhotoEditableSpot(req, res);
+      if (!spot) return;
 
-      if (spot.submittedBy.toString() !== req.user.userId) {
-        return res.status(403).json({ error: "Unauthorized: You can only add images to your own spots" });
+      if (!req.files?.length) return res.status(400).json({ error: "At least one image is required" });
+      if (spot.photos.length + req.files.length > MAX_SPOT_PHOTOS) {
+        return res.status(400).json({ error: `A spot can have at most ${MAX_SPOT_PHOTOS} photos` });
       }
 
-      const newImages = req.files.map((file) => ({
-        url: file.path,
-        uploadedAt: new Date(),
-      }));
-
+      const newImages = await storeUploads(req.files, { folder: "spots" });
       spot.photos = [...spot.photos, ...newImages];
-      await spot.save();
+      try {
+        await spot.save();
+      } catch (error) {
+        await Promise.all(newImages.map(removeImage));
+        throw error;
+      }
 
       res.status(200).json({ photos: spot.photos, message: "Images uploaded successfully" });
     } catch (error) {
@@ -595,6 +603,298 @@ router.post(
   }
 );
 
+// Reorder a spot's photos; `photoIds` lists every photo in the new order (the first is the cover)
+router.put(
+  "/:id/images/order",
+  authMiddleware,
+  [
+    param("id").isMongoId().withMessage("Invalid spot ID"),
+    body("photoIds").isArray().withMessage("Photo IDs must be a list"),
+    body("photoIds.*").isMongoId().withMessage("Invalid photo ID"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await loadPhotoEditableSpot(req, res);
+      if (!spot) return;
+
+      const { photoIds } = req.body;
+      const byId = new Map(spot.photos.map((photo) => [photo._id.toString(), photo]));
+      if (new Set(photoIds).size !== photoIds.length || photoIds.length !== byId.size || photoIds.some((id) => !byId.has(id))) {
+        return res.status(400).json({ error: "Order must list every photo of the spot exactly once" });
+      }
+
+      spot.photos = photoIds.map((id) => byId.get(id).toObject());
+      await spot.save();
+      res.status(200).json({ photos: spot.photos, message: "Photos reordered successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Make a photo the cover by moving it to the front
+router.put("/:id/images/:photoId/cover", authMiddleware, photoParams, validate, async (req, res, next) => {
+  try {
+    const spot = await loadPhotoEditableSpot(req, res);
+    if (!spot) return;
+
+    const photo = spot.photos.id(req.params.photoId);
+    if (!photo) return res.status(404).json({ error: "Photo not found" });
+
+    const cover = photo.toObject();
+    spot.photos.pull(photo._id);
+    spot.photos.unshift(cover);
+    await spot.save();
+    res.status(200).json({ photos: spot.photos, message: "Cover photo updated successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set a photo's caption and credit
+router.patch(
+  "/:id/images/:photoId",
+  authMiddleware,
+  photoParams.concat([
+    body("caption").optional().isString().trim()
+      .isLength({ max: 300 }).withMessage("Caption cannot exceed 300 characters"),
+    body("credit").optional().isString().trim()
+      .isLength({ max: 100 }).withMessage("Credit cannot exceed 100 characters"),
+  ]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await loadPhotoEditableSpot(req, res);
+      if (!spot) return;
+
+      const photo = spot.photos.id(req.params.photoId);
+      if (!photo) return res.status(404).json({ error: "Photo not found" });
+
+      if (req.body.caption !== undefined) photo.caption = req.body.caption;
+      if (req.body.credit !== undefined) photo.credit = req.body.credit;
+      await spot.save();
+      res.status(200).json({ photo, message: "Photo updated successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a photo and its stored files
+router.delete("/:id/images/:photoId", authMiddleware, photoParams, validate, async (req, res, next) => {
+  try {
+    const spot = await loadPhotoEditableSpot(req, res);
+    if (!spot) return;
+
+    const photo = spot.photos.id(req.params.photoId);
+    if (!photo) return res.status(404).json({ error: "Photo not found" });
+
+    const removed = photo.toObject();
+    spot.photos.pull(photo._id);
+    await spot.save();
+    await removeImage(removed);
+
+    if (spot.submittedBy.toString() !== req.user.userId) {
+      await recordAudit(req, {
+        action: "spot.photo.delete",
+        targetType: "Spot",
+        targetId: spot._id,
+        before: { photo: removed },
+        reason: req.body?.reason,
+      });
+    }
+
+    res.status(200).json({ photos: spot.photos, message: "Photo deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The spot's submitter and admins review photos contributed to it
+const canReviewContributions = (req, spot) => spot.submittedBy.toString() === req.user.userId || req.user.isAdmin;
+
+// Load a contribution together with its spot
+const loadContribution = async (req, res) => {
+  const spot = await Spot.findById(req.params.id).select("name status submittedBy");
+  const photo = spot && (await SpotPhoto.findOne({ _id: req.params.photoId, spot: spot._id }));
+  if (!photo) {
+    res.status(404).json({ error: "Photo not found" });
+    return {};
+  }
+  return { spot, photo };
+};
+
+// Contribute photos to someone else's approved spot (held for the submitter's review)
+router.post(
+  "/:id/contributions",
+  authMiddleware,
+  contributionLimiter,
+  upload.array("images", 5),
+  [
+    param("id").isMongoId().withMessage("Invalid spot ID"),
+    body("caption").optional().isString().trim()
+      .isLength({ max: 300 }).withMessage("Caption cannot exceed 300 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await Spot.findOne({ _id: req.params.id, status: "approved" }).select("name submittedBy");
+      if (!spot) return res.status(404).json({ error: "Spot not found" });
+      if (spot.submittedBy.toString() === req.user.userId) {
+        return res.status(400).json({ error: "Add photos to your own spot with POST /api/spots/:id/images" });
+      }
+      if (!req.files?.length) return res.status(400).json({ error: "At least one image is required" });
+
+      const photos = await contributePhotos(spot, req.user.userId, req.files, { caption: req.body.caption });
+
+      await notify(req.io, {
+        userId: spot.submittedBy,
+        type: "photo",
+        event: "photoContributed",
+        actor: req.user.userId,
+        relatedId: spot._id,
+        relatedModel: "Spot",
+        data: { spotId: spot._id, spotName: spot.name, count: photos.length },
+      });
+
+      res.status(201).json({ photos, message: "Photos submitted for review" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Fetch a spot's contributed photos (page or cursor pagination). Everyone sees approved
+// ones; the submitter and admins can ask for pending or rejected ones, and
+// contributors for their own.
+router.get(
+  "/:id/contributions",
+  optionalAuthMiddleware,
+  [
+    param("id").isMongoId().withMessage("Invalid spot ID"),
+    query("status").optional().isIn(["pending", "approved", "rejected"]).withMessage("Invalid status"),
+  ].concat(paginationValidation, cursorValidation),
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await Spot.findById(req.params.id).select("submittedBy status").lean();
+      if (!canViewSpot(req, spot)) return res.status(404).json({ error: "Spot not found" });
+
+      const status = req.query.status || "approved";
+      const filter = { spot: spot._id, status };
+      if (status !== "approved") {
+        if (!req.user) return res.status(401).json({ error: "Authentication required" });
+        if (!canReviewContributions(req, spot)) filter.user = req.user.userId;
+      }
+
+      const { items, ...pageInfo } = await paginateFind(SpotPhoto, filter, {
+        sort: NEWEST_FIRST,
+        ...pageOptions(req),
+        decorate: (query) => query.populate("user", CONTRIBUTOR_FIELDS),
+      });
+      res.status(200).json({ photos: items.map((photo) => presentContribution(photo, req.user?.userId)), ...pageInfo });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Approve or reject a contributed photo (spot submitter or admin)
+router.patch(
+  "/:id/contributions/:photoId/status",
+  authMiddleware,
+  photoParams.concat([
+    body("status").isIn(["approved", "rejected"]).withMessage("Status must be approved or rejected"),
+    body("note").optional().isString().trim().isLength({ max: 500 }).withMessage("Note cannot exceed 500 characters"),
+  ]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { spot, photo } = await loadContribution(req, res);
+      if (!photo) return;
+      if (!canReviewContributions(req, spot)) {
+        return res.status(403).json({ error: "Unauthorized: Only the spot's submitter or an admin can review its photos" });
+      }
+
+      const before = snapshot(photo, ["status"]);
+      await reviewContribution(photo, { status: req.body.status, note: req.body.note, reviewerId: req.user.userId });
+
+      if (spot.submittedBy.toString() !== req.user.userId) {
+        await recordAudit(req, {
+          action: `spot.photo.${req.body.status === "approved" ? "approve" : "reject"}`,
+          targetType: "Spot",
+          targetId: spot._id,
+          before,
+          after: { status: photo.status, photoId: photo._id },
+          reason: req.body.note,
+        });
+      }
+
+      await notify(req.io, {
+        userId: photo.user,
+        type: "photo",
+        event: "photoStatusUpdated",
+        actor: req.user.userId,
+        relatedId: spot._id,
+        relatedModel: "Spot",
+        data: { spotId: spot._id, spotName: spot.name, photoId: photo._id, status: photo.status, note: photo.review.note },
+      });
+
+      res.status(200).json({ photo, message: `Photo ${photo.status}` });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a contributed photo (its contributor, the spot's submitter or an admin)
+router.delete("/:id/contributions/:photoId", authMiddleware, photoParams, validate, async (req, res, next) => {
+  try {
+    const { spot, photo } = await loadContribution(req, res);
+    if (!photo) return;
+    if (photo.user.toString() !== req.user.userId && !canReviewContributions(req, spot)) {
+      return res.status(403).json({ error: "Unauthorized: You cannot delete this photo" });
+    }
+
+    await removeContribution(photo);
+    res.status(200).json({ message: "Photo deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Like an approved contributed photo
+router.post("/:id/contributions/:photoId/like", authMiddleware, likeCommentLimiter, photoParams, validate, async (req, res, next) => {
+  try {
+    const { photo } = await loadContribution(req, res);
+    if (!photo) return;
+    if (photo.status !== "approved") return res.status(404).json({ error: "Photo not found" });
+
+    if (!(await setContributionLike(photo._id, req.user.userId, true))) {
+      return res.status(400).json({ error: "You already liked this photo" });
+    }
+    res.status(200).json({ likeCount: photo.likedBy.length + 1, message: "Photo liked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unlike a contributed photo
+router.delete("/:id/contributions/:photoId/like", authMiddleware, likeCommentLimiter, photoParams, validate, async (req, res, next) => {
+  try {
+    const { photo } = await loadContribution(req, res);
+    if (!photo) return;
+
+    if (!(await setContributionLike(photo._id, req.user.userId, false))) {
+      return res.status(400).json({ error: "You have not liked this photo" });
+    }
+    res.status(200).json({ likeCount: Math.max(0, photo.likedBy.length - 1), message: "Photo unliked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Fetch spot reviews
 router.get("/:id/reviews", [param("id").isMongoId().withMessage("Invalid spot ID")], validate, async (req, res, next) => {
   try {
@@ -637,14 +937,18 @@ router.post(
 
       spot.comments.push(review);
       await spot.save();
-      if (req.io && spot.submittedBy.toString() !== req.user.userId) {
-        const spotCreator = await User.findById(spot.submittedBy);
-        if (spotCreator && spotCreator.notificationsEnabled) {
-          req.io.to(spot.submittedBy.toString()).emit("newComment", {
-            spotId: spot._id,
-            comment: review,
-          });
-        }
+      await recordEvent({ type: "review", spotId: spot._id, userId: user._id, rating: review.rating });
+
+      if (spot.submittedBy.toString() !== req.user.userId) {
+        await notify(req.io, {
+          userId: spot.submittedBy,
+          type: "comment",
+          event: "newComment",
+          actor: user._id,
+          relatedId: spot._id,
+          relatedModel: "Spot",
+          data: { spotId: spot._id, comment: review },
+        });
       }
 
       res.status(200).json(review);
@@ -684,17 +988,220 @@ router.get("/:id/nearby", [param("id").isMongoId().withMessage("Invalid spot ID"
   }
 });
 
-// Fetch 360-degree view data
-router.get("/:id/360-view", [param("id").isMongoId().withMessage("Invalid spot ID")], validate, async (req, res, next) => {
+// Fetch engagement analytics for one spot (owner or admin)
+router.get(
+  "/:id/analytics",
+  authMiddleware,
+  [param("id").isMongoId().withMessage("Invalid spot ID")].concat(analyticsValidation),
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await Spot.findById(req.params.id)
+        .select("name status submittedBy views likedBy comments.rating comments.createdAt averageRating")
+        .lean();
+      if (!spot) return res.status(404).json({ error: "Spot not found" });
+
+      if (spot.submittedBy.toString() !== req.user.userId && !req.user.isAdmin) {
+        return res.status(403).json({ error: "Unauthorized: You can only view analytics for your own spots" });
+      }
+
+      const range = analyticsRange(req, res);
+      if (!range) return;
+
+      const [analytics] = await getSpotAnalytics([spot], range);
+      res.status(200).json({ from: analytics.series[0].date, to: analytics.series[analytics.series.length - 1].date, ...analytics });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Fetch the spot's 360° tour: the legacy single view plus its panoramas and the hotspot links between them
+router.get("/:id/360-view", optionalAuthMiddleware, [param("id").isMongoId().withMessage("Invalid spot ID")], validate, async (req, res, next) => {
   try {
-    const spot = await Spot.findById(req.params.id).select("view360").lean();
-    if (!spot) return res.status(404).json({ error: "Spot not found" });
-    res.status(200).json(spot.view360 || {});
+    const spot = await Spot.findById(req.params.id).select("view360 panoramas startPanorama status submittedBy").lean();
+    if (!canViewSpot(req, spot)) return res.status(404).json({ error: "Spot not found" });
+    res.status(200).json(describeTour(spot));
   } catch (error) {
     next(error);
   }
 });
 
+const panoramaParams = [
+  param("id").isMongoId().withMessage("Invalid spot ID"),
+  param("panoramaId").isMongoId().withMessage("Invalid panorama ID"),
+];
+
+// Panorama details (shared by upload and update); multipart uploads send initialView[heading] and initialView[pitch]
+const panoramaValidation = [
+  body("title").optional().isString().trim()
+    .isLength({ max: 100 }).withMessage("Title cannot exceed 100 characters"),
+  body("description").optional().isString().trim()
+    .isLength({ max: 500 }).withMessage("Description cannot exceed 500 characters"),
+  body("initialView.heading").optional().isFloat({ min: 0, max: 360 }).toFloat()
+    .withMessage("Heading must be between 0 and 360"),
+  body("initialView.pitch").optional().isFloat({ min: -90, max: 90 }).toFloat()
+    .withMessage("Pitch must be between -90 and 90"),
+  body("capturedAt").optional().isISO8601().toDate().withMessage("Capture date must be a valid date"),
+];
+
+const applyPanoramaDetails = (panorama, { title, description, initialView = {}, capturedAt }) => {
+  if (title !== undefined) panorama.title = title;
+  if (description !== undefined) panorama.description = description;
+  if (initialView.heading !== undefined) panorama.initialView.heading = initialView.heading;
+  if (initialView.pitch !== undefined) panorama.initialView.pitch = initialView.pitch;
+  if (capturedAt !== undefined) panorama.capturedAt = capturedAt;
+};
+
+// Load a spot whose tour the current user may manage, with one of its panoramas
+const loadPanorama = async (req, res) => {
+  const spot = await loadPhotoEditableSpot(req, res);
+  if (!spot) return {};
+
+  const panorama = spot.panoramas.id(req.params.panoramaId);
+  if (!panorama) {
+    res.status(404).json({ error: "Panorama not found" });
+    return {};
+  }
+  return { spot, panorama };
+};
+
+// Upload a 360° panorama: an equirectangular image or a short video
+router.post(
+  "/:id/panoramas",
+  authMiddleware,
+  mediaUpload.single("file"),
+  [param("id").isMongoId().withMessage("Invalid spot ID")].concat(panoramaValidation),
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await loadPhotoEditableSpot(req, res);
+      if (!spot) return;
+
+      if (!req.file) return res.status(400).json({ error: "A panorama image or video is required" });
+      if (spot.panoramas.length >= MAX_PANORAMAS) {
+        return res.status(400).json({ error: `A spot can have at most ${MAX_PANORAMAS} panoramas` });
+      }
+
+      const media = await storePanoramaMedia(req.file);
+      let panorama;
+      try {
+        panorama = addPanorama(spot, media);
+        applyPanoramaDetails(panorama, req.body);
+        await spot.save();
+      } catch (error) {
+        await removePanoramaMedia(media);
+        throw error;
+      }
+
+      res.status(201).json({ tour: describeTour(spot), message: "Panorama uploaded successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update a panorama's title, description, initial view or capture date
+router.patch("/:id/panoramas/:panoramaId", authMiddleware, panoramaParams.concat(panoramaValidation), validate, async (req, res, next) => {
+  try {
+    const { spot, panorama } = await loadPanorama(req, res);
+    if (!spot) return;
+
+    applyPanoramaDetails(panorama, req.body);
+    await spot.save();
+    res.status(200).json({ tour: describeTour(spot), message: "Panorama updated successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make a panorama the start of the tour
+router.put("/:id/panoramas/:panoramaId/start", authMiddleware, panoramaParams, validate, async (req, res, next) => {
+  try {
+    const { spot, panorama } = await loadPanorama(req, res);
+    if (!spot) return;
+
+    spot.startPanorama = panorama._id;
+    await spot.save();
+    res.status(200).json({ tour: describeTour(spot), message: "Start panorama updated successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a panorama, its stored files and every hotspot leading to it
+router.delete("/:id/panoramas/:panoramaId", authMiddleware, panoramaParams, validate, async (req, res, next) => {
+  try {
+    const { spot, panorama } = await loadPanorama(req, res);
+    if (!spot) return;
+
+    const removed = removePanoramaFromTour(spot, panorama);
+    await spot.save();
+    await removePanoramaMedia(removed);
+
+    if (spot.submittedBy.toString() !== req.user.userId) {
+      await recordAudit(req, {
+        action: "spot.panorama.delete",
+        targetType: "Spot",
+        targetId: spot._id,
+        before: { panorama: removed },
+        reason: req.body?.reason,
+      });
+    }
+
+    res.status(200).json({ tour: describeTour(spot), message: "Panorama deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Link a panorama to another panorama of the spot with a hotspot
+router.post(
+  "/:id/panoramas/:panoramaId/hotspots",
+  authMiddleware,
+  panoramaParams.concat([
+    body("targetId").isMongoId().withMessage("Invalid target panorama ID"),
+    body("yaw").isFloat({ min: 0, max: 360 }).toFloat().withMessage("Yaw must be between 0 and 360"),
+    body("pitch").optional().isFloat({ min: -90, max: 90 }).toFloat().withMessage("Pitch must be between -90 and 90"),
+    body("label").optional().isString().trim()
+      .isLength({ max: 100 }).withMessage("Label cannot exceed 100 characters"),
+  ]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { spot, panorama } = await loadPanorama(req, res);
+      if (!spot) return;
+
+      const hotspot = addHotspot(spot, panorama, req.body);
+      await spot.save();
+      res.status(201).json({ hotspot, tour: describeTour(spot), message: "Hotspot added successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a hotspot
+router.delete(
+  "/:id/panoramas/:panoramaId/hotspots/:hotspotId",
+  authMiddleware,
+  panoramaParams.concat([param("hotspotId").isMongoId().withMessage("Invalid hotspot ID")]),
+  validate,
+  async (req, res, next) => {
+    try {
+      const { spot, panorama } = await loadPanorama(req, res);
+      if (!spot) return;
+
+      if (!panorama.hotspots.id(req.params.hotspotId)) return res.status(404).json({ error: "Hotspot not found" });
+      panorama.hotspots.pull(req.params.hotspotId);
+      await spot.save();
+      res.status(200).json({ tour: describeTour(spot), message: "Hotspot removed successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Update a spot
 router.put(
   "/:id",
@@ -734,6 +1241,7 @@ router.put(
       .optional()
       .isLength({ max: 200 })
       .withMessage("360 view description cannot exceed 200 characters"),
+    body("confirmNotDuplicate").optional().isBoolean().toBoolean().withMessage("confirmNotDuplicate must be a boolean"),
   ],
   validate,
   async (req, res, next) => {
@@ -745,6 +1253,16 @@ router.put(
         return res.status(403).json({ error: "Unauthorized: You can only edit your own spots" });
       }
 
+      // A renamed or moved spot is checked for duplicates like a new one
+      const name = req.body.name || spot.name;
+      const coordinates = req.body.location?.coordinates?.map(Number) || spot.location.coordinates;
+      const moved = coordinates.some((value, i) => value !== spot.location.coordinates[i]);
+      if (name !== spot.name || moved) {
+        const duplicates = await findDuplicateSpots({ name, coordinates, excludeId: spot._id });
+        if (rejectDuplicates(req, res, duplicates)) return;
+        spot.possibleDuplicates = duplicateFlags(duplicates);
+      }
+
       spot.name = req.body.name || spot.name;
       spot.content = req.body.content || spot.content;
       spot.location = req.body.location || spot.location;
@@ -756,6 +1274,7 @@ router.put(
       spot.view360 = req.body.view360 || spot.view360;
 
       await spot.save();
+      await syncSpotSuggestions(spot);
       res.status(200).json({ spot, message: "Spot updated successfully" });
     } catch (error) {
       next(error);
@@ -768,20 +1287,40 @@ router.patch(
   "/:id/status",
   authMiddleware,
   adminMiddleware,
-  [param("id").isMongoId().withMessage("Invalid spot ID"), body("status").isIn(["pending", "approved", "rejected"]).withMessage("Invalid status")],
+  [
+    param("id").isMongoId().withMessage("Invalid spot ID"),
+    body("status").isIn(["pending", "approved", "rejected"]).withMessage("Invalid status"),
+    body("reason").optional().isString().isLength({ max: 500 }).withMessage("Reason cannot exceed 500 characters"),
+  ],
   validate,
   async (req, res, next) => {
     try {
       const spot = await Spot.findById(req.params.id);
       if (!spot) return res.status(404).json({ error: "Spot not found" });
 
+      const before = snapshot(spot, ["status"]);
       spot.status = req.body.status;
       await spot.save();
+      await syncSpotSuggestions(spot);
+
+      await recordAudit(req, {
+        action: "spot.status",
+        targetType: "Spot",
+        targetId: spot._id,
+        before,
+        after: snapshot(spot, ["status"]),
+        reason: req.body.reason,
+      });
 
-      if (req.io && spot.status !== "pending") {
-        req.io.to(spot.submittedBy.toString()).emit("spotStatusUpdated", {
-          spotId: spot._id,
-          status: spot.status,
+      if (spot.status !== "pending") {
+        await notify(req.io, {
+          userId: spot.submittedBy,
+          type: "spot",
+          event: "spotStatusUpdated",
+          actor: req.user.userId,
+          relatedId: spot._id,
+          relatedModel: "Spot",
+          data: { spotId: spot._id, status: spot.status, note: req.body.reason || "" },
         });
       }
 
@@ -803,6 +1342,19 @@ router.delete("/:id", authMiddleware, [param("id").isMongoId().withMessage("Inva
     }
 
     await spot.deleteOne();
+
+    // Audit before cleanup so an admin deletion is always recorded
+    if (spot.submittedBy.toString() !== req.user.userId) {
+      await recordAudit(req, {
+        action: "spot.delete",
+        targetType: "Spot",
+        targetId: spot._id,
+        before: snapshot(spot),
+        reason: req.body?.reason,
+      });
+    }
+
+    await cleanUpDeletedSpot(spot);
     res.status(200).json({ message: "Spot deleted successfully" });
   } catch (error) {
     next(error);
@@ -827,15 +1379,18 @@ router.post(
 
       spot.likedBy.push(req.user.userId);
       await spot.save();
+      await recordEvent({ type: "like", spotId: spot._id, userId: req.user.userId });
 
-      if (req.io && spot.submittedBy.toString() !== req.user.userId) {
-        const spotCreator = await User.findById(spot.submittedBy);
-        if (spotCreator && spotCreator.notificationsEnabled) {
-          req.io.to(spot.submittedBy.toString()).emit("newLike", {
-            spotId: spot._id,
-            userId: req.user.userId,
-          });
-        }
+      if (spot.submittedBy.toString() !== req.user.userId) {
+        await notify(req.io, {
+          userId: spot.submittedBy,
+          type: "like",
+          event: "newLike",
+          actor: req.user.userId,
+          relatedId: spot._id,
+          relatedModel: "Spot",
+          data: { spotId: spot._id, userId: req.user.userId },
+        });
       }
 
       res.status(200).json({ message: "Spot liked successfully" });
@@ -863,6 +1418,7 @@ router.post(
 
       spot.likedBy = spot.likedBy.filter((id) => id !== req.user.userId);
       await spot.save();
+      await removeEvents({ type: "like", spotId: spot._id, userId: req.user.userId });
 
       res.status(200).json({ message: "Spot unliked successfully" });
     } catch (error) {
@@ -871,6 +1427,36 @@ router.post(
   }
 );
 
+// Record a share of a spot (signed-in or anonymous)
+router.post(
+  "/:id/share",
+  optionalAuthMiddleware,
+  shareLimiter,
+  [
+    param("id").isMongoId().withMessage("Invalid spot ID"),
+    body("channel").optional().isString().trim().isLength({ max: 50 }).withMessage("Channel cannot exceed 50 characters"),
+  ],
+  validate,
+  async (req, res, next) => {
+    try {
+      const spot = await Spot.findOne({ _id: req.params.id, status: "approved" }).select("_id");
+      if (!spot) return res.status(404).json({ error: "Spot not found" });
+
+      await recordEvent({
+        type: "share",
+        spotId: spot._id,
+        userId: req.user?.userId,
+        channel: req.body.channel,
+        viewer: viewerKey(req),
+      });
+
+      res.status(200).json({ message: "Share recorded" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Report a spot
 router.post(
   "/:id/report",
@@ -894,16 +1480,14 @@ router.post(
       spot.reports.push(report);
       await spot.save();
 
-      if (req.io) {
-        const admins = await User.find({ isAdmin: true }).select("_id");
-        admins.forEach((admin) => {
-          req.io.to(admin._id.toString()).emit("newReport", {
-            spotId: spot._id,
-            userId: user._id,
-            reason: req.body.reason,
-          });
-        });
-      }
+      await notifyAdmins(req.io, {
+        type: "report",
+        event: "newReport",
+        actor: user._id,
+        relatedId: spot._id,
+        relatedModel: "Spot",
+        data: { spotId: spot._id, userId: user._id, reason: req.body.reason },
+      });
 
       res.status(200).json({ message: "Spot reported successfully" });
     } catch (error) {
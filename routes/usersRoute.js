@@ -1,7 +1,12 @@
 const express = require("express");
-const { authMiddleware } = require("../middleware/authMiddleware");
+const mongoose = require("mongoose");
+const { authMiddleware, adminMiddleware } = require("../middleware/authMiddleware");
 const User = require("../models/User");
 const Spot = require("../models/Spot"); // Import Spot model
+const SavedSpot = require("../models/SavedSpot");
+const { notify } = require("../services/notificationService");
+const { pageOptions, paginateFind } = require("../services/paginationService");
+const { saveSpot, unsaveSpot } = require("../services/collectionService");
 const { body, param, query, validationResult } = require("express-validator");
 
 const router = express.Router();
@@ -20,6 +25,11 @@ const paginationValidation = [
     .withMessage("Limit must be between 1 and 100"),
 ];
 
+// Opaque cursor for cursor pagination; an empty value starts at the first page
+const cursorValidation = [
+  query("cursor").optional().isString().isLength({ max: 500 }).withMessage("Invalid cursor"),
+];
+
 // Middleware to handle validation errors
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -28,10 +38,17 @@ const validate = (req, res, next) => {
   next();
 };
 
+// `:uid` route params accept either the Mongo user id or the linked Firebase UID
+const isSelf = (req, uid) =>
+  uid === req.user.userId || (Boolean(req.user.firebaseUid) && uid === req.user.firebaseUid);
+
+const findUserByParam = (uid) =>
+  mongoose.isValidObjectId(uid) ? User.findById(uid) : User.findOne({ firebaseUid: uid });
+
 // ✅ Get user profile (Protected)
 router.get("/profile", authMiddleware, async (req, res, next) => {
   try {
-    const user = await User.findOne({ uid: req.user.uid }).select("-password");
+    const user = await User.findById(req.user.userId).select("-password");
     if (!user) return res.status(404).json({ error: "User not found" });
     res.json(user);
   } catch (error) {
@@ -103,7 +120,7 @@ router.put(
         interests,
         notificationsEnabled,
       } = req.body;
-      const user = await User.findOne({ uid: req.user.uid });
+      const user = await User.findById(req.user.userId);
 
       if (!user) return res.status(404).json({ error: "User not found" });
 
@@ -141,7 +158,7 @@ router.post(
   validate,
   async (req, res, next) => {
     try {
-      const user = await User.findOne({ uid: req.user.uid });
+      const user = await User.findById(req.user.userId);
       const userToFollow = await User.findById(req.params.userId);
 
       if (!user || !userToFollow) {
@@ -161,13 +178,16 @@ router.post(
 
       await Promise.all([user.save(), userToFollow.save()]);
 
-      // Emit a Socket.io event if notifications are enabled
-      if (req.io && userToFollow.notificationsEnabled) {
-        req.io.to(userToFollow.uid).emit("newFollower", {
-          userId: user._id,
-          username: user.username,
-        });
-      }
+      // Store the notification and emit a Socket.io event if notifications are enabled
+      await notify(req.io, {
+        userId: userToFollow._id,
+        type: "follow",
+        event: "newFollower",
+        actor: user._id,
+        relatedId: user._id,
+        relatedModel: "User",
+        data: { userId: user._id, username: user.username },
+      });
 
       res.json({ message: `You are now following ${userToFollow.username}` });
     } catch (error) {
@@ -184,7 +204,7 @@ router.post(
   validate,
   async (req, res, next) => {
     try {
-      const user = await User.findOne({ uid: req.user.uid });
+      const user = await User.findById(req.user.userId);
       const userToUnfollow = await User.findById(req.params.userId);
 
       if (!user || !userToUnfollow) {
@@ -208,7 +228,7 @@ router.post(
 
       // Emit a Socket.io event if notifications are enabled
       if (req.io && userToUnfollow.notificationsEnabled) {
-        req.io.to(userToUnfollow.uid).emit("lostFollower", {
+        req.io.to(userToUnfollow._id.toString()).emit("lostFollower", {
           userId: user._id,
           username: user.username,
         });
@@ -233,8 +253,7 @@ router.get(
   validate,
   async (req, res, next) => {
     try {
-      const firebaseUid = req.user.uid;
-      const user = await User.findOne({ uid: firebaseUid });
+      const user = await User.findById(req.user.userId);
       if (!user) return res.status(404).json({ error: "User not found" });
 
       const lat = user.location.coordinates[1];
@@ -312,21 +331,45 @@ router.get("/popular", authMiddleware, paginationValidation, validate, async (re
     next(error);
   }
 });
-// ✅ Fetch a user's favorites (Protected)
-// In usersRoute.js, replace the existing /:uid/favorites route with:
+// Headline user counts; the full dashboard lives at /api/admin/analytics
+router.get(
+  "/admin/analytics",
+  authMiddleware,
+  adminMiddleware,
+  async (req, res, next) => {
+    try {
+      const totalUsers = await User.countDocuments();
+      const activeUsers = await User.countDocuments({ lastActive: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } }); // Last 30 days
+
+      res.status(200).json({
+        totalUsers,
+        activeUsers,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+// ✅ Fetch the IDs of a user's saved spots (Protected). Saves are separate from likes.
 router.get("/:uid/favorites", authMiddleware, async (req, res, next) => {
   try {
     const { uid } = req.params;
-    if (uid !== req.user.uid) {
+    if (!isSelf(req, uid)) {
       return res
         .status(403)
         .json({ error: "Unauthorized: You can only view your own favorites" });
     }
 
-    const spots = await Spot.find({ likedBy: uid, status: "approved" })
+    const saved = await SavedSpot.find({ user: req.user.userId }).sort({ savedAt: -1 }).select("spot").lean();
+    // Same rule as saving: approved spots and the user's own, whatever their status
+    const spots = await Spot.find({
+      _id: { $in: saved.map((entry) => entry.spot) },
+      $or: [{ status: "approved" }, { submittedBy: req.user.userId }],
+    })
       .select("_id")
       .lean();
-    const favoriteIds = spots.map(spot => spot._id.toString());
+    const visible = new Set(spots.map((spot) => spot._id.toString()));
+    const favoriteIds = saved.map((entry) => entry.spot.toString()).filter((id) => visible.has(id));
     res.status(200).json({ favoriteIds });
   } catch (error) {
     next(error);
@@ -336,7 +379,7 @@ router.get("/:uid/favorites", authMiddleware, async (req, res, next) => {
 router.post("/:uid/avatar", authMiddleware, async (req, res, next) => {
   try {
     const { uid } = req.params;
-    if (uid !== req.user.uid) {
+    if (!isSelf(req, uid)) {
       return res
         .status(403)
         .json({ error: "Unauthorized: You can only update your own avatar" });
@@ -354,8 +397,8 @@ router.post("/:uid/avatar", authMiddleware, async (req, res, next) => {
       crop: "fill",
     });
 
-    const user = await User.findOneAndUpdate(
-      { uid },
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
       { profilePic: result.secure_url },
       { new: true }
     );
@@ -370,26 +413,23 @@ router.post("/:uid/avatar", authMiddleware, async (req, res, next) => {
 router.get(
   "/:userId/followers",
   [param("userId").isMongoId().withMessage("Invalid user ID")].concat(
-    paginationValidation
+    paginationValidation,
+    cursorValidation
   ),
   validate,
   async (req, res, next) => {
     try {
-      const user = await User.findById(req.params.userId).populate(
-        "followers",
-        "username bio profilePic"
-      );
+      const user = await User.findById(req.params.userId).select("followers");
       if (!user) return res.status(404).json({ error: "User not found" });
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const skip = (page - 1) * limit;
-
-      const totalFollowers = user.followers.length;
-      const followers = user.followers.slice(skip, skip + limit);
+      // Ordered by account, newest first: follow times are not stored, and cursors need a sortable key
+      const { items: followers, ...pageInfo } = await paginateFind(User, { _id: { $in: user.followers } }, {
+        sort: { _id: -1 },
+        ...pageOptions(req),
+        decorate: (query) => query.select("username bio profilePic"),
+      });
 
-      const totalPages = Math.ceil(totalFollowers / limit);
-      res.status(200).json({ followers, totalPages });
+      res.status(200).json({ followers, ...pageInfo });
     } catch (error) {
       next(error);
     }
@@ -400,26 +440,23 @@ router.get(
 router.get(
   "/:userId/following",
   [param("userId").isMongoId().withMessage("Invalid user ID")].concat(
-    paginationValidation
+    paginationValidation,
+    cursorValidation
   ),
   validate,
   async (req, res, next) => {
     try {
-      const user = await User.findById(req.params.userId).populate(
-        "following",
-        "username bio profilePic"
-      );
+      const user = await User.findById(req.params.userId).select("following");
       if (!user) return res.status(404).json({ error: "User not found" });
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const skip = (page - 1) * limit;
-
-      const totalFollowing = user.following.length;
-      const following = user.following.slice(skip, skip + limit);
+      // Ordered like followers, by account rather than by when they were followed
+      const { items: following, ...pageInfo } = await paginateFind(User, { _id: { $in: user.following } }, {
+        sort: { _id: -1 },
+        ...pageOptions(req),
+        decorate: (query) => query.select("username bio profilePic"),
+      });
 
-      const totalPages = Math.ceil(totalFollowing / limit);
-      res.status(200).json({ following, totalPages });
+      res.status(200).json({ following, ...pageInfo });
     } catch (error) {
       next(error);
     }
@@ -435,13 +472,13 @@ router.get(
   async (req, res, next) => {
     try {
       const { uid } = req.params;
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only view your own profile" });
       }
 
-      const user = await User.findOne({ uid }).select("-password");
+      const user = await User.findById(req.user.userId).select("-password");
       if (!user) return res.status(404).json({ error: "User not found" });
       res.json(user);
     } catch (error) {
@@ -478,15 +515,15 @@ router.post(
   async (req, res, next) => {
     try {
       const { uid } = req.params;
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only update your own interests" });
       }
 
       const { interests } = req.body;
-      const user = await User.findOneAndUpdate(
-        { uid },
+      const user = await User.findByIdAndUpdate(
+        req.user.userId,
         { interests },
         { new: true }
       );
@@ -508,13 +545,13 @@ router.get(
   async (req, res, next) => {
     try {
       const { uid } = req.params;
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only view your own interests" });
       }
 
-      const user = await User.findOne({ uid }).select("interests");
+      const user = await User.findById(req.user.userId).select("interests");
       if (!user) return res.status(404).json({ error: "User not found" });
       res.json(user.interests || []);
     } catch (error) {
@@ -523,7 +560,7 @@ router.get(
   }
 );
 
-// ✅ Add a spot to user favorites (Protected)
+// ✅ Save a spot to user favorites (Protected)
 router.post(
   "/:uid/favorites",
   authMiddleware,
@@ -537,22 +574,21 @@ router.post(
       const { uid } = req.params;
       const { spotId } = req.body;
 
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only add to your own favorites" });
       }
 
-      const spot = await Spot.findById(spotId);
-      if (!spot) return res.status(404).json({ error: "Spot not found" });
+      const spot = await Spot.findById(spotId).select("status submittedBy").lean();
+      if (!spot || (spot.status !== "approved" && spot.submittedBy.toString() !== req.user.userId)) {
+        return res.status(404).json({ error: "Spot not found" });
+      }
 
-      if (spot.likedBy.includes(uid)) {
+      if (!(await saveSpot(req.user.userId, spot._id))) {
         return res.status(400).json({ error: "Spot already in favorites" });
       }
 
-      spot.likedBy.push(uid);
-      await spot.save();
-
       res.json({ message: "Spot added to favorites" });
     } catch (error) {
       next(error);
@@ -560,7 +596,7 @@ router.post(
   }
 );
 
-// ✅ Remove a spot from user favorites (Protected)
+// ✅ Remove a saved spot from user favorites (Protected)
 router.delete(
   "/:uid/favorites/:spotId",
   authMiddleware,
@@ -573,22 +609,16 @@ router.delete(
     try {
       const { uid, spotId } = req.params;
 
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only remove from your own favorites" });
       }
 
-      const spot = await Spot.findById(spotId);
-      if (!spot) return res.status(404).json({ error: "Spot not found" });
-
-      if (!spot.likedBy.includes(uid)) {
+      if (!(await unsaveSpot(req.user.userId, spotId))) {
         return res.status(400).json({ error: "Spot not in favorites" });
       }
 
-      spot.likedBy = spot.likedBy.filter((id) => id !== uid);
-      await spot.save();
-
       res.json({ message: "Spot removed from favorites" });
     } catch (error) {
       next(error);
@@ -605,13 +635,13 @@ router.get(
   async (req, res, next) => {
     try {
       const { uid } = req.params;
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only view your own posts" });
       }
 
-      const user = await User.findOne({ uid });
+      const user = await User.findById(req.user.userId);
       if (!user) return res.status(404).json({ error: "User not found" });
 
       const posts = await Spot.find({ submittedBy: user._id, status: "approved" })
@@ -633,13 +663,13 @@ router.get(
   async (req, res, next) => {
     try {
       const { uid } = req.params;
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only view your own settings" });
       }
 
-      const user = await User.findOne({ uid }).select("notificationsEnabled");
+      const user = await User.findById(req.user.userId).select("notificationsEnabled");
       if (!user) return res.status(404).json({ error: "User not found" });
 
       // Map backend settings to frontend structure
@@ -687,14 +717,14 @@ router.put(
   async (req, res, next) => {
     try {
       const { uid } = req.params;
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res
           .status(403)
           .json({ error: "Unauthorized: You can only update your own settings" });
       }
 
       const { notificationsEnabled } = req.body;
-      const user = await User.findOne({ uid });
+      const user = await User.findById(req.user.userId);
 
       if (!user) return res.status(404).json({ error: "User not found" });
 
@@ -738,47 +768,27 @@ router.get(
       // Assuming admin check is handled in authMiddleware or a separate middleware
       // For simplicity, we'll assume the user is an admin if they can access this route
 
-      const user = await User.findOne({ uid });
+      const user = await findUserByParam(uid);
       if (!user) return res.status(404).json({ error: "User not found" });
 
       // Example analytics data (customize as needed)
       const analytics = {
         totalPosts: await Spot.countDocuments({ submittedBy: user._id }),
-        totalLikes: await Spot.countDocuments({ likedBy: uid }),
+        totalLikes: await Spot.countDocuments({ likedBy: user._id.toString() }),
         totalFollowers: user.followers.length,
         totalFollowing: user.following.length,
       };
-
-      res.json(analytics);
-    } catch (error) {
-      next(error);
-    }
-  }
-);
-// Add to usersRoute.js (append before module.exports)
-router.get(
-  "/admin/analytics",
-  authMiddleware,
-  async (req, res, next) => {
-    try {
-      // Assuming authMiddleware checks for admin role; add additional check if needed
-      if (!req.user.isAdmin) { // Adjust based on your user model
-        return res.status(403).json({ error: "Unauthorized: Admin access required" });
+      // Saves are private, so only the user and admins see how many there are
+      if (isSelf(req, uid) || req.user.isAdmin) {
+        analytics.totalSaves = await SavedSpot.countDocuments({ user: user._id });
       }
 
-      const totalUsers = await User.countDocuments();
-      const activeUsers = await User.countDocuments({ lastLogin: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } }); // Last 30 days
-
-      res.status(200).json({
-        totalUsers,
-        activeUsers,
-      });
+      res.json(analytics);
     } catch (error) {
       next(error);
     }
   }
 );
-
 // NEW: PUT /api/users/:uid
 router.put(
   "/:uid",
@@ -801,10 +811,10 @@ router.put(
   async (req, res, next) => {
     try {
       const { uid } = req.params;
-      if (uid !== req.user.uid) {
+      if (!isSelf(req, uid)) {
         return res.status(403).json({ error: "Unauthorized: You can only update your own profile" });
       }
-      const user = await User.findOne({ uid });
+      const user = await User.findById(req.user.userId);
       if (!user) return res.status(404).json({ error: "User not found" });
 
       const { username, bio, profilePic, location, interests, notificationsEnabled } = req.body;
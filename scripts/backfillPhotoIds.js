@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Spot photos used to be stored without IDs, which the photo management endpoints
+// need. Give every such photo a permanent ID. Safe to run more than once.
+async function backfill() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hidden_spots');
+    const spots = mongoose.connection.collection('spots');
+
+    let updated = 0;
+    const cursor = spots.find({ photos: { $elemMatch: { _id: { $exists: false } } } }, { projection: { photos: 1 } });
+    for await (const spot of cursor) {
+      const photos = spot.photos.map((photo) => (photo._id ? photo : { _id: new mongoose.Types.ObjectId(), ...photo }));
+      await spots.updateOne({ _id: spot._id }, { $set: { photos } });
+      updated += 1;
+    }
+
+    console.log(`Photo IDs added on ${updated} spots`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling photo IDs:', error);
+    process.exit(1);
+  }
+}
+
+backfill();
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Spot = require('../models/Spot');
+const SavedSpot = require('../models/SavedSpot');
+require('dotenv').config();
+
+// Favorites used to be stored in Spot.likedBy, so every like was also a save.
+// Copy those into SavedSpot (likes are left as they are) and recount saveCount.
+// Safe to run more than once.
+async function migrate() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hidden_spots');
+
+    let saves = 0;
+    const cursor = Spot.find({ 'likedBy.0': { $exists: true } }).select('likedBy').lean().cursor();
+    for await (const spot of cursor) {
+      const users = spot.likedBy.filter((id) => mongoose.isValidObjectId(id));
+      if (!users.length) continue;
+
+      const result = await SavedSpot.bulkWrite(
+        users.map((userId) => ({
+          updateOne: {
+            filter: { user: userId, spot: spot._id },
+            update: { $setOnInsert: { savedAt: new Date() } },
+            upsert: true,
+          },
+        })),
+        { ordered: false }
+      );
+      saves += result.upsertedCount;
+    }
+
+    const counts = await SavedSpot.aggregate([{ $group: { _id: '$spot', count: { $sum: 1 } } }]);
+    await Spot.updateMany({}, { $set: { saveCount: 0 } });
+    if (counts.length) {
+      await Spot.bulkWrite(
+        counts.map(({ _id, count }) => ({ updateOne: { filter: { _id }, update: { $set: { saveCount: count } } } }))
+      );
+    }
+
+    console.log(`Created ${saves} saves; saveCount set on ${counts.length} spots`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating favorites:', error);
+    process.exit(1);
+  }
+}
+
+migrate();
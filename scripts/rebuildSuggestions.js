@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { rebuildSuggestions } = require('../services/suggestionService');
+require('dotenv').config();
+
+// Rebuild the autocomplete suggestions from the approved spots. Run once to backfill
+// an existing database, and periodically (e.g. nightly) to refresh popularity.
+async function rebuild() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hidden_spots');
+    const counts = await rebuildSuggestions();
+    console.log('Suggestions rebuilt:', counts);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error rebuilding suggestions:', error);
+    process.exit(1);
+  }
+}
+
+rebuild();
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const Spot = require('../models/Spot');
+require('dotenv').config();
+
+// Bring the spots collection indexes in line with the schema. A collection can only
+// hold one text index, so the old uniqueFacts/bestTimeToVisit index has to be dropped
+// before SpotTextIndex can be built.
+async function syncSpotIndexes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hidden_spots');
+    const dropped = await Spot.syncIndexes();
+    console.log('Dropped indexes:', dropped);
+    console.log('Current indexes:', await Spot.listIndexes());
+    process.exit(0);
+  } catch (error) {
+    console.error('Error syncing spot indexes:', error);
+    process.exit(1);
+  }
+}
+
+syncSpotIndexes();
@@ -17,6 +17,17 @@ const interestsRoute = require("./routes/interestsRoute");
 const communityRoutes = require("./routes/communityRoute");
 const errorRoute = require("./routes/errorRoute");
 const aiRoutes = require("./routes/aiRoutes");
+const { getJwks } = require("./services/tokenService");
+const notificationRoutes = require("./routes/notificationsRoute");
+const moderationRoutes = require("./routes/moderationRoute");
+const auditLogRoutes = require("./routes/auditLogsRoute");
+const adminUserRoutes = require("./routes/adminUsersRoute");
+const adminAnalyticsRoutes = require("./routes/adminAnalyticsRoute");
+const itineraryRoutes = require("./routes/itinerariesRoute");
+const collectionRoutes = require("./routes/collectionsRoute");
+const { startJobs } = require("./jobs");
+const { UPLOAD_DIR } = require("./services/imageStorage");
+const { removeTempUploads } = require("./middleware/tempUploads");
 
 // Clear module cache for routes
 delete require.cache[require.resolve("./routes/authRoutes")];
@@ -62,11 +73,21 @@ if (process.env.NODE_ENV !== "production") {
 app.use(
   cors({
     origin: ["http://localhost:5173", "https://way-down-frontend.vercel.app/","https://way-down-frontend-git-master-sanjais-projects-8aaafd51.vercel.app"],
-    methods: ["GET", "POST", "PUT", "DELETE"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     credentials: true,
   })
 );
 app.use(helmet());
+
+// Locally stored images (IMAGE_STORAGE=local), readable from the frontend's origin
+app.use(
+  "/uploads",
+  express.static(UPLOAD_DIR, {
+    maxAge: "30d",
+    immutable: true,
+    setHeaders: (res) => res.set("Cross-Origin-Resource-Policy", "cross-origin"),
+  })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(
@@ -78,13 +99,22 @@ app.use(
 // Connect to MongoDB
 connectDb();
 
+// Background jobs (recommendations, trending)
+startJobs();
+
 // Attach io to requests for controllers to use
 app.use((req, res, next) => {
   req.io = io;
   next();
 });
 
+// Delete temporary upload files once each response is sent
+app.use(removeTempUploads);
+
 // Routes
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300").status(200).json(getJwks());
+});
 app.use("/api/auth", authRoutes);
 app.use("/api/spots", spotRoutes);
 app.use("/api/users", userRoutes);
@@ -93,6 +123,13 @@ app.use("/api/errors", errorRoute);
 app.use("/api/welcome", welcomeRoute);
 app.use("/api/interests", interestsRoute);
 app.use("/api/ai", aiRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/itineraries", itineraryRoutes);
+app.use("/api/collections", collectionRoutes);
+app.use("/api/admin/moderation", moderationRoutes);
+app.use("/api/admin/audit-logs", auditLogRoutes);
+app.use("/api/admin/users", adminUserRoutes);
+app.use("/api/admin/analytics", adminAnalyticsRoutes);
 
 // Socket.io setup
 spotSocket(io);
@@ -107,7 +144,8 @@ app.use((err, req, res, next) => {
     ip: req.ip,
   });
 
-  const status = err.status || 500;
+  // Multer rejects oversized or too many files with a MulterError
+  const status = err.status || (err.name === "MulterError" ? 400 : 500);
   const message = err.message || "Internal Server Error";
   res.status(status).json({
     error: message,
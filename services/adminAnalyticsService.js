@@ -0,0 +1,277 @@
+const Spot = require("../models/Spot");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const SpotDailyStats = require("../models/SpotDailyStats");
+const SpotPhoto = require("../models/SpotPhoto");
+
+const DAY = 24 * 60 * 60 * 1000;
+const TOP_LIMIT = 10;
+const MAX_CACHE_ENTRIES = 100;
+const CACHE_TTL_MS = (Number(process.env.ADMIN_ANALYTICS_CACHE_MINUTES) || 5) * 60 * 1000;
+
+// Weight of each interaction when ranking spots, cities and tags by engagement
+const ENGAGEMENT = { views: 1, likes: 3, reviews: 5, shares: 4 };
+
+const cache = new Map();
+
+const round = (value, digits = 1) => Number(value.toFixed(digits));
+const percentChange = (current, previous) => (previous ? round(((current - previous) / previous) * 100) : null);
+const rate = (part, whole) => (whole ? round((part / whole) * 100) : null);
+
+const engagementScore = {
+  $add: Object.entries(ENGAGEMENT).map(([metric, weight]) => ({ $multiply: [weight, `$${metric}`] })),
+};
+
+// Counts per interval bucket, oldest first
+const series = (Model, match, dateField, interval) =>
+  Model.aggregate([
+    { $match: match },
+    { $group: { _id: { $dateTrunc: { date: `$${dateField}`, unit: interval } }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, date: "$_id", count: 1 } },
+  ]);
+
+// Submissions created in the range by status, and review decisions taken in it
+const contentStats = async (Model, range) => {
+  const [byStatus, decisions] = await Promise.all([
+    Model.aggregate([{ $match: { createdAt: range } }, { $group: { _id: "$status", count: { $sum: 1 } } }]),
+    Model.aggregate([
+      { $match: { "review.reviewedAt": range, status: { $in: ["approved", "rejected"] } } },
+      {
+        $group: {
+          _id: "$status",
+          count: { $sum: 1 },
+          reviewMs: { $avg: { $subtract: ["$review.reviewedAt", "$createdAt"] } },
+        },
+      },
+    ]),
+  ]);
+
+  const submitted = Object.fromEntries(byStatus.map((entry) => [entry._id, entry.count]));
+  const decided = Object.fromEntries(decisions.map((entry) => [entry._id, entry]));
+  const approved = decided.approved?.count || 0;
+  const rejected = decided.rejected?.count || 0;
+  const reviewMs =
+    approved + rejected
+      ? ((decided.approved?.reviewMs || 0) * approved + (decided.rejected?.reviewMs || 0) * rejected) /
+        (approved + rejected)
+      : null;
+
+  return {
+    submitted: Object.values(submitted).reduce((sum, count) => sum + count, 0),
+    byStatus: submitted,
+    reviewed: { approved, rejected },
+    approvalRate: rate(approved, approved + rejected),
+    averageReviewHours: reviewMs === null ? null : round(reviewMs / (60 * 60 * 1000)),
+  };
+};
+
+// Engagement in the range grouped by a spot field (city or tag), merged with the
+// number of approved spots carrying each value
+const topByField = async (field, range) => {
+  const unwind = field === "tags" ? [{ $unwind: "$tags" }] : [];
+  const [catalog, engagement] = await Promise.all([
+    Spot.aggregate([
+      { $match: { status: "approved" } },
+      ...unwind,
+      { $group: { _id: `$${field}`, spots: { $sum: 1 } } },
+      { $match: { _id: { $nin: [null, ""] } } },
+    ]),
+    SpotDailyStats.aggregate([
+      { $match: { date: range } },
+      {
+        $group: {
+          _id: "$spot",
+          views: { $sum: "$views" },
+          likes: { $sum: "$likes" },
+          reviews: { $sum: "$reviews" },
+          shares: { $sum: "$shares" },
+        },
+      },
+      {
+        $lookup: {
+          from: "spots",
+          localField: "_id",
+          foreignField: "_id",
+          as: "spot",
+          pipeline: [{ $project: { city: 1, tags: 1 } }],
+        },
+      },
+      { $unwind: "$spot" },
+      { $replaceWith: { $mergeObjects: ["$$ROOT", { city: "$spot.city", tags: "$spot.tags" }] } },
+      ...unwind,
+      {
+        $group: {
+          _id: `$${field}`,
+          views: { $sum: "$views" },
+          likes: { $sum: "$likes" },
+          reviews: { $sum: "$reviews" },
+          shares: { $sum: "$shares" },
+        },
+      },
+      { $addFields: { engagement: engagementScore } },
+      { $match: { _id: { $nin: [null, ""] } } },
+    ]),
+  ]);
+
+  const merged = new Map();
+  catalog.forEach((entry) =>
+    merged.set(entry._id, { name: entry._id, spots: entry.spots, views: 0, likes: 0, reviews: 0, shares: 0, engagement: 0 })
+  );
+  engagement.forEach(({ _id, ...metrics }) =>
+    merged.set(_id, { name: _id, spots: merged.get(_id)?.spots || 0, ...metrics })
+  );
+
+  return [...merged.values()]
+    .sort((a, b) => b.engagement - a.engagement || b.spots - a.spots)
+    .slice(0, TOP_LIMIT);
+};
+
+const topSpots = async (range) => {
+  const ranked = await SpotDailyStats.aggregate([
+    { $match: { date: range } },
+    {
+      $group: {
+        _id: "$spot",
+        views: { $sum: "$views" },
+        likes: { $sum: "$likes" },
+        reviews: { $sum: "$reviews" },
+        shares: { $sum: "$shares" },
+      },
+    },
+    { $addFields: { engagement: engagementScore } },
+    { $sort: { engagement: -1, _id: -1 } },
+    { $limit: TOP_LIMIT * 2 },
+    {
+      $lookup: {
+        from: "spots",
+        localField: "_id",
+        foreignField: "_id",
+        as: "spot",
+        pipeline: [{ $match: { status: "approved" } }, { $project: { name: 1, city: 1 } }],
+      },
+    },
+    { $unwind: "$spot" },
+    { $limit: TOP_LIMIT },
+  ]);
+
+  return ranked.map(({ _id, spot, ...metrics }) => ({ id: _id, name: spot.name, city: spot.city, ...metrics }));
+};
+
+const sumViews = async (range) => {
+  const [result] = await SpotDailyStats.aggregate([
+    { $match: { date: range } },
+    { $group: { _id: null, views: { $sum: "$views" } } },
+  ]);
+  return result?.views || 0;
+};
+
+// Platform-wide analytics over [from, to], compared with the preceding period of
+// the same length. `interval` (day, week or month) sets the series buckets.
+const computeAnalytics = async ({ from, to, interval }) => {
+  const now = Date.now();
+  const range = { $gte: from, $lte: to };
+  const previousRange = { $gte: new Date(from.getTime() - (to - from) - 1), $lt: from };
+  const since = (days) => ({ lastActive: { $gte: new Date(now - days * DAY) } });
+
+  const [totalUsers, dau, wau, mau, signups, previousSignups, signupSeries] = await Promise.all([
+    User.countDocuments(),
+    User.countDocuments(since(1)),
+    User.countDocuments(since(7)),
+    User.countDocuments(since(30)),
+    User.countDocuments({ createdAt: range }),
+    User.countDocuments({ createdAt: previousRange }),
+    series(User, { createdAt: range }, "createdAt", interval),
+  ]);
+
+  const [spots, previousSpots, posts, previousPosts, spotSeries, postSeries] = await Promise.all([
+    contentStats(Spot, range),
+    Spot.countDocuments({ createdAt: previousRange }),
+    contentStats(Post, range),
+    Post.countDocuments({ createdAt: previousRange }),
+    series(Spot, { createdAt: range }, "createdAt", interval),
+    series(Post, { createdAt: range }, "createdAt", interval),
+  ]);
+
+  const [pendingSpots, pendingPosts, pendingPhotos, oldestSpot, oldestPost, openReports, possibleDuplicateSpots] = await Promise.all([
+    Spot.countDocuments({ status: "pending" }),
+    Post.countDocuments({ status: "pending" }),
+    SpotPhoto.countDocuments({ status: "pending" }),
+    Spot.findOne({ status: "pending" }).sort({ createdAt: 1 }).select("createdAt").lean(),
+    Post.findOne({ status: "pending" }).sort({ createdAt: 1 }).select("createdAt").lean(),
+    Spot.countDocuments({ reports: { $elemMatch: { dismissedAt: null } } }),
+    Spot.countDocuments({ status: "pending", "possibleDuplicates.0": { $exists: true } }),
+  ]);
+
+  const [views, previousViews, viewSeries, spotsByEngagement, cities, tags] = await Promise.all([
+    sumViews(range),
+    sumViews(previousRange),
+    SpotDailyStats.aggregate([
+      { $match: { date: range } },
+      { $group: { _id: { $dateTrunc: { date: "$date", unit: interval } }, count: { $sum: "$views" } } },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, date: "$_id", count: 1 } },
+    ]),
+    topSpots(range),
+    topByField("city", range),
+    topByField("tags", range),
+  ]);
+
+  const growth = (current, previous) => ({ current, previous, change: percentChange(current, previous) });
+
+  return {
+    from,
+    to,
+    interval,
+    computedAt: new Date(now),
+    users: {
+      total: totalUsers,
+      signups,
+      dau,
+      wau,
+      mau,
+      stickiness: rate(dau, mau),
+    },
+    spots,
+    posts,
+    moderation: {
+      pendingSpots,
+      pendingPosts,
+      pendingPhotos,
+      possibleDuplicateSpots,
+      spotsWithOpenReports: openReports,
+      oldestPendingSpotAt: oldestSpot?.createdAt || null,
+      oldestPendingPostAt: oldestPost?.createdAt || null,
+    },
+    top: { spots: spotsByEngagement, cities, tags },
+    growth: {
+      signups: growth(signups, previousSignups),
+      spotSubmissions: growth(spots.submitted, previousSpots),
+      postSubmissions: growth(posts.submitted, previousPosts),
+      views: growth(views, previousViews),
+    },
+    series: {
+      signups: signupSeries,
+      spotSubmissions: spotSeries,
+      postSubmissions: postSeries,
+      views: viewSeries,
+    },
+  };
+};
+
+// Cached analytics; results are reused for ADMIN_ANALYTICS_CACHE_MINUTES (default 5)
+const getAdminAnalytics = async (options, { refresh = false } = {}) => {
+  const key = JSON.stringify(options);
+  const cached = cache.get(key);
+  if (!refresh && cached && Date.now() - cached.computedAt.getTime() < CACHE_TTL_MS) {
+    return { ...cached, cached: true };
+  }
+
+  const analytics = await computeAnalytics(options);
+  cache.delete(key);
+  cache.set(key, analytics);
+  if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+  return { ...analytics, cached: false };
+};
+
+module.exports = { getAdminAnalytics };
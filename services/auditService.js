@@ -0,0 +1,28 @@
+const AuditLog = require("../models/AuditLog");
+
+// Plain-object copy of a document (or a subset of its fields) for before/after snapshots.
+// toJSON applies the model's transforms, so user passwords and tokens are never stored.
+const snapshot = (doc, fields) => {
+  if (!doc) return null;
+  const data = typeof doc.toJSON === "function" ? doc.toJSON() : { ...doc };
+  if (!fields) return data;
+  return fields.reduce((picked, field) => {
+    picked[field] = data[field];
+    return picked;
+  }, {});
+};
+
+// Record an admin action in the audit log
+const recordAudit = (req, { action, targetType, targetId, before, after, reason }) =>
+  AuditLog.create({
+    actor: req.user.userId,
+    action,
+    targetType,
+    targetId,
+    before: before || null,
+    after: after || null,
+    reason: reason || "",
+    ip: req.ip || "",
+  });
+
+module.exports = { recordAudit, snapshot };
@@ -0,0 +1,109 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const firebaseAdmin = require("../config/firebase");
+const { isSessionActive } = require("./sessionService");
+const { verifyToken } = require("./tokenService");
+
+// lastActive is refreshed at most this often per user (it feeds DAU/WAU/MAU)
+const ACTIVITY_RESOLUTION_MS = 5 * 60 * 1000;
+
+// Build an error carrying the HTTP status (and optional response body) for callers
+const authError = (status, message, extra = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  return Object.assign(error, extra);
+};
+
+// Our own access tokens ({ userId, sid, typ: "access" }) issued by sessionService
+const jwtStrategy = {
+  name: "jwt",
+  canHandle: (decoded) => Boolean(decoded?.payload?.userId),
+  verify: async (token) => {
+    const claims = verifyToken("access", token);
+    if (claims.sid && !(await isSessionActive(claims.sid))) {
+      throw new Error("Session has been revoked");
+    }
+    const user = await User.findById(claims.userId);
+    return { claims, user };
+  },
+};
+
+// Firebase ID tokens. Users are matched on firebaseUid; on first use an existing
+// account with the same verified email is linked to the Firebase UID.
+const firebaseStrategy = {
+  name: "firebase",
+  canHandle: (decoded) =>
+    Boolean(firebaseAdmin) &&
+    Boolean(decoded?.payload?.iss?.startsWith("https://securetoken.google.com/")),
+  verify: async (token) => {
+    const claims = await firebaseAdmin.auth().verifyIdToken(token);
+    let user = await User.findOne({ firebaseUid: claims.uid });
+    if (!user && claims.email && claims.email_verified) {
+      user = await User.findOneAndUpdate(
+        { email: claims.email.toLowerCase(), firebaseUid: { $exists: false } },
+        { $set: { firebaseUid: claims.uid } },
+        { new: true }
+      );
+    }
+    return { claims, user };
+  },
+};
+
+const strategies = [jwtStrategy, firebaseStrategy];
+
+// Add a strategy ({ name, canHandle(decoded), verify(token) -> { claims, user } }).
+// Strategies are tried in registration order.
+const registerStrategy = (strategy) => {
+  strategies.push(strategy);
+};
+
+// Shape attached as req.user / socket.user. userId is always the Mongo _id.
+const toAuthUser = (strategy, claims, user) =>
+  user
+    ? {
+        userId: user._id.toString(),
+        _id: user._id,
+        email: user.email,
+        isAdmin: user.isAdmin || false,
+        firebaseUid: user.firebaseUid,
+        sessionId: claims.sid || null,
+        strategy,
+      }
+    : {
+        userId: null,
+        email: claims.email,
+        firebaseUid: claims.uid,
+        strategy,
+      };
+
+// Verify a bearer token with whichever strategy recognises it and resolve the Mongo user.
+// With allowUnregistered, a valid token without a matching user resolves with userId null.
+const authenticateToken = async (token, { allowUnregistered = false } = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const strategy = strategies.find((candidate) => candidate.canHandle(decoded));
+  if (!strategy) throw authError(403, "Invalid token: Unsupported token type");
+
+  let result;
+  try {
+    result = await strategy.verify(token);
+  } catch (error) {
+    throw authError(403, "Invalid or expired token", { details: error.message });
+  }
+
+  const { claims, user } = result;
+  if (!user) {
+    if (allowUnregistered) return toAuthUser(strategy.name, claims, null);
+    throw authError(404, "User not found in database");
+  }
+
+  const restriction = user.getRestriction();
+  if (restriction) throw authError(403, restriction.error, { body: restriction });
+
+  if (!user.lastActive || Date.now() - user.lastActive.getTime() > ACTIVITY_RESOLUTION_MS) {
+    await User.updateOne({ _id: user._id }, { $set: { lastActive: new Date() } });
+  }
+
+  return toAuthUser(strategy.name, claims, user);
+};
+
+module.exports = { authenticateToken, registerStrategy };
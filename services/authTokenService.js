@@ -0,0 +1,32 @@
+const crypto = require("crypto");
+const AuthToken = require("../models/AuthToken");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Issue a new token, replacing any outstanding token of the same type for the user.
+// Returns the raw token, which is only ever sent to the user.
+const issueToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.deleteMany({ user: userId, type });
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return token;
+};
+
+// Consume a token atomically. Returns the user id, or null if the token is
+// unknown, already used or expired.
+const consumeToken = async (token, type) => {
+  if (!token || typeof token !== "string") return null;
+  const record = await AuthToken.findOneAndDelete({
+    tokenHash: hashToken(token),
+    type,
+    expiresAt: { $gt: new Date() },
+  });
+  return record ? record.user : null;
+};
+
+module.exports = { issueToken, consumeToken };
@@ -0,0 +1,146 @@
+const Spot = require("../models/Spot");
+const SavedSpot = require("../models/SavedSpot");
+const Collection = require("../models/Collection");
+const CollectionFollow = require("../models/CollectionFollow");
+
+const MAX_ITEMS = 200;
+const SPOT_FIELDS = "name city location photos tags averageRating status submittedBy";
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Save a spot for a user; returns false if it was already saved
+const saveSpot = async (userId, spotId) => {
+  const result = await SavedSpot.updateOne(
+    { user: userId, spot: spotId },
+    { $setOnInsert: { savedAt: new Date() } },
+    { upsert: true }
+  );
+  if (result.upsertedCount !== 1) return false;
+  await Spot.updateOne({ _id: spotId }, { $inc: { saveCount: 1 } });
+  return true;
+};
+
+// Remove a saved spot; returns false if it was not saved
+const unsaveSpot = async (userId, spotId) => {
+  const result = await SavedSpot.deleteOne({ user: userId, spot: spotId });
+  if (result.deletedCount !== 1) return false;
+  await Spot.updateOne({ _id: spotId, saveCount: { $gt: 0 } }, { $inc: { saveCount: -1 } });
+  return true;
+};
+
+// Drop a deleted spot from every user's saves and collections
+const removeSpotReferences = async (spotId) => {
+  await SavedSpot.deleteMany({ spot: spotId });
+  await Collection.updateMany({ "items.spot": spotId }, { $pull: { items: { spot: spotId } } });
+};
+
+const ownerIdOf = (collection) => collection.user._id || collection.user;
+const isOwner = (collection, userId) => !!userId && ownerIdOf(collection).toString() === userId.toString();
+
+// Owners see everything; anyone with the ID can see unlisted and public collections
+const canView = (collection, userId) => collection.visibility !== "private" || isOwner(collection, userId);
+
+// Collection with spot summaries in the owner's order. Spots that are no longer
+// approved are kept for the owner (flagged unavailable) and dropped for everyone else.
+const describeCollection = async (collection, { userId } = {}) => {
+  const owner = isOwner(collection, userId);
+  const ownerId = ownerIdOf(collection).toString();
+  const spots = await Spot.find({ _id: { $in: collection.items.map((item) => item.spot) } })
+    .select(SPOT_FIELDS)
+    .lean();
+  const visible = new Map(
+    spots
+      .filter((spot) => spot.status === "approved" || (owner && spot.submittedBy?.toString() === ownerId))
+      .map((spot) => [spot._id.toString(), spot])
+  );
+
+  const items = collection.items
+    .map((item) => {
+      const spot = visible.get(item.spot.toString());
+      if (!spot) {
+        return owner ? { spot: null, spotId: item.spot, note: item.note, addedAt: item.addedAt, available: false } : null;
+      }
+      return {
+        spot: {
+          _id: spot._id,
+          name: spot.name,
+          city: spot.city,
+          location: spot.location,
+          tags: spot.tags,
+          photo: spot.photos?.[0]?.url || null,
+          averageRating: spot.averageRating || 0,
+        },
+        note: item.note,
+        addedAt: item.addedAt,
+        available: true,
+      };
+    })
+    .filter(Boolean);
+
+  const following = userId && !owner
+    ? await CollectionFollow.exists({ user: userId, collectionId: collection._id })
+    : null;
+
+  return { ...collection, items, spotCount: items.length, isOwner: owner, isFollowing: !!following };
+};
+
+// Add a spot at `position` (default: the end)
+const addItem = (collection, { spotId, note, position }) => {
+  if (collection.items.some((item) => item.spot.toString() === spotId.toString())) {
+    throw badRequest("Spot is already in this collection");
+  }
+  if (collection.items.length >= MAX_ITEMS) {
+    throw badRequest(`A collection cannot hold more than ${MAX_ITEMS} spots`);
+  }
+  const at = position === undefined ? collection.items.length : Math.min(position, collection.items.length);
+  collection.items.splice(at, 0, { spot: spotId, note, addedAt: new Date() });
+};
+
+// Reorder the items to match `spotIds`, which must list every spot exactly once
+const reorderItems = (collection, spotIds) => {
+  const byId = new Map(collection.items.map((item) => [item.spot.toString(), item.toObject()]));
+  const unique = new Set(spotIds);
+  if (unique.size !== spotIds.length || spotIds.length !== byId.size || spotIds.some((id) => !byId.has(id))) {
+    throw badRequest("Order must list every spot in the collection exactly once");
+  }
+  collection.items = spotIds.map((id) => byId.get(id));
+};
+
+// Follow a collection; returns false if already followed
+const followCollection = async (userId, collection) => {
+  const result = await CollectionFollow.updateOne(
+    { user: userId, collectionId: collection._id },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+  if (result.upsertedCount !== 1) return false;
+  await Collection.updateOne({ _id: collection._id }, { $inc: { followerCount: 1 } });
+  return true;
+};
+
+// Unfollow a collection; returns false if it was not followed
+const unfollowCollection = async (userId, collection) => {
+  const result = await CollectionFollow.deleteOne({ user: userId, collectionId: collection._id });
+  if (result.deletedCount !== 1) return false;
+  await Collection.updateOne({ _id: collection._id, followerCount: { $gt: 0 } }, { $inc: { followerCount: -1 } });
+  return true;
+};
+
+const deleteCollection = async (collection) => {
+  await collection.deleteOne();
+  await CollectionFollow.deleteMany({ collectionId: collection._id });
+};
+
+module.exports = {
+  saveSpot,
+  unsaveSpot,
+  removeSpotReferences,
+  isOwner,
+  canView,
+  describeCollection,
+  addItem,
+  reorderItems,
+  followCollection,
+  unfollowCollection,
+  deleteCollection,
+};
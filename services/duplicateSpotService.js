@@ -0,0 +1,87 @@
+const Spot = require("../models/Spot");
+const { normalize, levenshtein } = require("./suggestionService");
+const { distanceKm } = require("./itineraryService");
+
+// Approved or pending spots this close to a new submission are checked for duplicates
+const RADIUS_M = Number(process.env.DUPLICATE_SPOT_RADIUS_M) || 500;
+const CANDIDATE_LIMIT = 20;
+const MAX_DUPLICATES = 5;
+// Confidence weights a similar name above closeness; below MIN_CONFIDENCE is not a duplicate
+const NAME_WEIGHT = 0.65;
+const DISTANCE_WEIGHT = 0.35;
+const MIN_CONFIDENCE = 0.6;
+
+const round = (value) => Number(value.toFixed(2));
+
+// Similarity of two spot names in [0, 1]: the better of the edit distance over the
+// whole name and the share of words in common, so "Dudhsagar Falls" is close to both
+// "Dudhsagar Fals" and "Dudhsagar Waterfall"
+const nameSimilarity = (a, b) => {
+  const first = normalize(a);
+  const second = normalize(b);
+  if (!first || !second) return 0;
+
+  const edit = 1 - levenshtein(first, second) / Math.max(first.length, second.length);
+  const firstWords = new Set(first.split(" "));
+  const secondWords = new Set(second.split(" "));
+  const shared = [...firstWords].filter((word) => secondWords.has(word)).length;
+  const words = (2 * shared) / (firstWords.size + secondWords.size);
+  return Math.max(edit, words);
+};
+
+// Approved or pending spots within RADIUS_M of `coordinates` that look like the same
+// place, most likely first. Each has the spot, its distance in metres, the name
+// similarity and an overall confidence, all in [0, 1] except the distance.
+const findDuplicateSpots = async ({ name, coordinates, excludeId }) => {
+  const filter = {
+    status: { $in: ["approved", "pending"] },
+    location: {
+      $nearSphere: { $geometry: { type: "Point", coordinates }, $maxDistance: RADIUS_M },
+    },
+  };
+  if (excludeId) filter._id = { $ne: excludeId };
+
+  const candidates = await Spot.find(filter)
+    .select("name city location status photos submittedBy createdAt")
+    .limit(CANDIDATE_LIMIT)
+    .lean();
+
+  return candidates
+    .map((spot) => {
+      const distanceM = distanceKm(coordinates, spot.location.coordinates) * 1000;
+      const similarity = nameSimilarity(name, spot.name);
+      const confidence = NAME_WEIGHT * similarity + DISTANCE_WEIGHT * Math.max(0, 1 - distanceM / RADIUS_M);
+      return {
+        spot,
+        distanceM: Math.round(distanceM),
+        nameSimilarity: round(similarity),
+        confidence: round(confidence),
+      };
+    })
+    .filter((duplicate) => duplicate.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_DUPLICATES);
+};
+
+// The duplicates a submitter may see: approved spots and their own pending ones.
+// Other users' pending spots are still flagged for moderators, but never shown.
+const visibleDuplicates = (duplicates, userId) =>
+  duplicates
+    .filter(({ spot }) => spot.status === "approved" || spot.submittedBy.toString() === userId)
+    .map(({ spot, ...match }) => ({
+      spot: {
+        _id: spot._id,
+        name: spot.name,
+        city: spot.city,
+        status: spot.status,
+        location: spot.location,
+        photo: spot.photos?.[0]?.variants?.thumbnail?.url || spot.photos?.[0]?.url || null,
+      },
+      ...match,
+    }));
+
+// What a spot keeps about its likely duplicates, for moderators
+const duplicateFlags = (duplicates) =>
+  duplicates.map(({ spot, distanceM, confidence }) => ({ spot: spot._id, distanceM, confidence }));
+
+module.exports = { nameSimilarity, findDuplicateSpots, visibleDuplicates, duplicateFlags };
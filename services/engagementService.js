@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const EngagementEvent = require("../models/EngagementEvent");
+const { recordDailyEvent, recordDailyUnlike } = require("./spotStatsService");
+
+// Stable identifier of whoever is viewing, for unique viewer counts. Anonymous
+// visitors are identified by a hash of IP and user agent, never the raw values.
+const viewerKey = (req) =>
+  req.user
+    ? `user:${req.user.userId}`
+    : `anon:${crypto.createHash("sha256").update(`${req.ip}|${req.get("user-agent") || ""}`).digest("hex")}`;
+
+// Append an interaction to the engagement log and the spot's daily counters.
+// `rating` (reviews) only feeds the counters.
+const recordEvent = async ({ type, spotId, userId, channel, viewer, rating }) => {
+  const event = await EngagementEvent.create({ type, spot: spotId, user: userId || undefined, channel, viewer });
+  await recordDailyEvent({ type, spotId, viewer, rating });
+  return event;
+};
+
+// Drop a user's events of one type for a spot, e.g. their like after an unlike,
+// so toggling cannot inflate trending
+const removeEvents = async ({ type, spotId, userId }) => {
+  await EngagementEvent.deleteMany({ type, spot: spotId, user: userId });
+  if (type === "like") await recordDailyUnlike(spotId);
+};
+
+// Spots a user has viewed recently, most recent first
+const recentlyViewedSpots = async (userId, { days = 90, limit = 50 } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const views = await EngagementEvent.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), type: "view", createdAt: { $gte: since } } },
+    { $group: { _id: "$spot", lastViewedAt: { $max: "$createdAt" } } },
+    { $sort: { lastViewedAt: -1 } },
+    { $limit: limit },
+  ]);
+  return views.map((view) => view._id);
+};
+
+module.exports = { viewerKey, recordEvent, removeEvents, recentlyViewedSpots };
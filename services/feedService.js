@@ -0,0 +1,169 @@
+const Spot = require("../models/Spot");
+const SeenSpot = require("../models/SeenSpot");
+const { distanceExpression, EARTH_RADIUS_KM } = require("./searchService");
+const { invalidCursor, afterCursor, decodeCursor, encodeCursor } = require("./paginationService");
+
+const NEARBY_RADIUS_KM = 50;
+const RECENCY_HALF_LIFE_DAYS = 3;
+
+// How much each signal contributes to a spot's feed score
+const WEIGHTS = {
+  following: 3,
+  interests: 2,
+  nearby: 2,
+  recency: 4,
+  likes: 1,
+  rating: 1,
+};
+
+const FEED_SORT = { feedScore: -1, _id: -1 };
+// Cursors also carry the time the feed was first ranked, so recency is scored
+// identically on every page
+const CURSOR_SHAPE = { asOf: -1, ...FEED_SORT };
+
+const hasLocation = (user) => {
+  const [lon, lat] = user.location?.coordinates || [];
+  return typeof lon === "number" && typeof lat === "number" && (lon !== 0 || lat !== 0);
+};
+
+// Ranked timeline for a user: spots by people they follow, spots matching their
+// interests and spots near their location, scored by source, recency, likes and
+// rating. Their own, liked and already-seen spots are left out.
+const buildFeed = async (user, { page = 1, limit = 10, cursor, includeSeen = false }) => {
+  const following = user.following || [];
+  const interests = user.interests || [];
+  const nearby = hasLocation(user);
+  const [lon, lat] = nearby ? user.location.coordinates : [];
+
+  let asOf = new Date();
+  let after = null;
+  if (cursor) {
+    const [cursorAsOf, ...values] = decodeCursor(cursor, CURSOR_SHAPE);
+    // asOf feeds the recency score, so only a real time that has already passed will do
+    if (!(cursorAsOf instanceof Date) || Number.isNaN(cursorAsOf.getTime()) || cursorAsOf > asOf) {
+      throw invalidCursor();
+    }
+    asOf = cursorAsOf;
+    after = afterCursor(FEED_SORT, values);
+  }
+
+  const sources = [];
+  if (following.length > 0) sources.push({ submittedBy: { $in: following } });
+  if (interests.length > 0) sources.push({ tags: { $in: interests } });
+  if (nearby) {
+    sources.push({
+      location: { $geoWithin: { $centerSphere: [[lon, lat], NEARBY_RADIUS_KM / EARTH_RADIUS_KM] } },
+    });
+  }
+
+  const match = {
+    status: "approved",
+    submittedBy: { $ne: user._id },
+    likedBy: { $ne: user._id.toString() },
+  };
+  // With nothing to personalise on, fall back to every approved spot
+  if (sources.length > 0) match.$or = sources;
+  if (!includeSeen) {
+    match._id = { $nin: await SeenSpot.find({ user: user._id }).distinct("spot") };
+  }
+
+  const signals = {
+    fromFollowing: { $cond: [{ $in: ["$submittedBy", following] }, 1, 0] },
+    interestMatch: {
+      $divide: [
+        { $min: [{ $size: { $setIntersection: [{ $ifNull: ["$tags", []] }, interests] } }, 3] },
+        3,
+      ],
+    },
+    proximity: nearby
+      ? { $max: [0, { $subtract: [1, { $divide: [distanceExpression(lon, lat), NEARBY_RADIUS_KM] }] }] }
+      : 0,
+    recency: {
+      $pow: [
+        0.5,
+        {
+          $divide: [
+            { $max: [0, { $subtract: [asOf, "$createdAt"] }] },
+            RECENCY_HALF_LIFE_DAYS * 24 * 60 * 60 * 1000,
+          ],
+        },
+      ],
+    },
+    likeCount: { $size: { $ifNull: ["$likedBy", []] } },
+  };
+
+  const feedScore = {
+    $add: [
+      { $multiply: [WEIGHTS.following, "$signals.fromFollowing"] },
+      { $multiply: [WEIGHTS.interests, "$signals.interestMatch"] },
+      { $multiply: [WEIGHTS.nearby, "$signals.proximity"] },
+      { $multiply: [WEIGHTS.recency, "$signals.recency"] },
+      { $multiply: [WEIGHTS.likes, { $ln: { $add: [1, "$signals.likeCount"] } }] },
+      { $multiply: [WEIGHTS.rating, { $divide: [{ $ifNull: ["$averageRating", 0] }, 5] }] },
+    ],
+  };
+
+  const feedReasons = {
+    $concatArrays: [
+      { $cond: [{ $gt: ["$signals.fromFollowing", 0] }, ["following"], []] },
+      { $cond: [{ $gt: ["$signals.interestMatch", 0] }, ["interests"], []] },
+      { $cond: [{ $gt: ["$signals.proximity", 0] }, ["nearby"], []] },
+    ],
+  };
+
+  const cursorMode = cursor !== undefined;
+  const spots = await Spot.aggregate([
+    { $match: match },
+    { $addFields: { signals } },
+    { $addFields: { feedScore, feedReasons } },
+    ...(after ? [{ $match: after }] : []),
+    { $sort: FEED_SORT },
+    ...(cursorMode ? [] : [{ $skip: (page - 1) * limit }]),
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: "users",
+        localField: "submittedBy",
+        foreignField: "_id",
+        as: "submittedBy",
+        pipeline: [{ $project: { username: 1, profilePic: 1 } }],
+      },
+    },
+    { $unwind: { path: "$submittedBy", preserveNullAndEmptyArrays: true } },
+    { $project: { reports: 0, signals: 0 } },
+  ]);
+
+  const hasMore = spots.length > limit;
+  if (hasMore) spots.pop();
+
+  const last = spots[spots.length - 1];
+  const result = {
+    spots,
+    nextCursor: hasMore ? encodeCursor({ asOf, feedScore: last.feedScore, _id: last._id }, CURSOR_SHAPE) : null,
+  };
+  if (!cursorMode) {
+    const total = await Spot.countDocuments(match);
+    result.totalPages = Math.ceil(total / limit);
+  }
+  return result;
+};
+
+// Record spots as seen so they drop out of the user's feed
+const markSeen = async (userId, spotIds) => {
+  if (spotIds.length === 0) return 0;
+  const result = await SeenSpot.bulkWrite(
+    spotIds.map((spotId) => ({
+      updateOne: {
+        filter: { user: userId, spot: spotId },
+        update: { $set: { seenAt: new Date() } },
+        upsert: true,
+      },
+    }))
+  );
+  return result.upsertedCount + result.modifiedCount;
+};
+
+// Forget a deleted spot in every user's seen list
+const removeSeenSpot = (spotId) => SeenSpot.deleteMany({ spot: spotId });
+
+module.exports = { buildFeed, markSeen, removeSeenSpot };
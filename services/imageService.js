@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const { createReadStream } = require("fs");
+const sharp = require("sharp");
+const { encode } = require("blurhash");
+const { storage } = require("./imageStorage");
+
+// Longest edge of each stored WebP variant; smaller originals are never enlarged
+const VARIANTS = { thumbnail: 320, medium: 960, large: 1920 };
+const WEBP_QUALITY = 80;
+const MAX_INPUT_PIXELS = 100 * 1000 * 1000;
+
+// Equirectangular panoramas are twice as wide as they are tall; stitched captures may
+// be slightly off. WebP tops out at 16383 px, so the full variant is 8192 px wide.
+const PANORAMA_VARIANTS = { thumbnail: 512, preview: 2048, full: 8192 };
+const PANORAMA_ASPECT_TOLERANCE = 0.05;
+const MAX_PANORAMA_PIXELS = 16384 * 8192;
+
+const VIDEO_CONTENT_TYPES = { mp4: "video/mp4", mov: "video/quicktime", webm: "video/webm" };
+
+const invalidImage = () =>
+  Object.assign(new Error("Only JPEG, PNG, WebP, GIF or AVIF images are allowed"), { status: 400 });
+
+// Leading bytes of an upload, given as a file path or a buffer; enough to tell its format
+const HEADER_BYTES = 16;
+const readHeader = async (input) => {
+  if (Buffer.isBuffer(input)) return input;
+  const handle = await fs.open(input, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEADER_BYTES), 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Identify the image format from the file's leading bytes, ignoring the name and
+// the client-supplied MIME type. Returns null for anything else.
+const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return "jpeg";
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "png";
+  if (/^GIF8[79]a/.test(buffer.toString("latin1", 0, 6))) return "gif";
+  if (buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") return "webp";
+  if (buffer.toString("latin1", 4, 8) === "ftyp" && /^avi[fs]$/.test(buffer.toString("latin1", 8, 12))) return "avif";
+  return null;
+};
+
+// Identify an MP4, QuickTime or WebM video from its leading bytes
+const detectVideoType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x1a45dfa3) return "webm";
+  if (buffer.toString("latin1", 4, 8) !== "ftyp") return null;
+  const brand = buffer.toString("latin1", 8, 12);
+  if (brand === "qt  ") return "mov";
+  return /^(isom|iso[2-6]|mp41|mp42|avc1|M4V |dash)$/.test(brand) ? "mp4" : null;
+};
+
+// Compact placeholder of the image for showing while the real one loads
+const blurhashOf = async (image) => {
+  const { data, info } = await image
+    .clone()
+    .resize(32, 32, { fit: "inside" })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return encode(new Uint8ClampedArray(data), info.width, info.height, 4, 3);
+};
+
+// Re-encode an upload (a file path or a buffer) into WebP variants plus a blurhash. The image is rotated
+// upright from its EXIF orientation, and since no metadata is carried over, EXIF
+// (including GPS coordinates) is stripped from every variant. `check` may reject the
+// image from its upright width and height by throwing an error with a status.
+const processImage = async (input, { variants: sizes = VARIANTS, maxPixels = MAX_INPUT_PIXELS, check } = {}) => {
+  if (!detectImageType(await readHeader(input))) throw invalidImage();
+
+  const image = sharp(input, { limitInputPixels: maxPixels }).rotate();
+  try {
+    const metadata = await image.metadata();
+    // Orientations 5-8 swap the stored width and height
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+    if (check) check({ width, height });
+
+    const variants = {};
+    for (const [name, size] of Object.entries(sizes)) {
+      const { data, info } = await image
+        .clone()
+        .resize(size, size, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+      variants[name] = { buffer: data, width: info.width, height: info.height };
+    }
+
+    return { width, height, blurhash: await blurhashOf(image), variants };
+  } catch (error) {
+    // Corrupt, truncated or oversized images fail to decode
+    if (error.status) throw error;
+    throw invalidImage();
+  }
+};
+
+// Process an upload and store its variants under `folder`. Returns the photo
+// entry kept on the document: `url` is the large variant for older clients.
+const storeImage = async (input, { folder, ...options }) => {
+  const processed = await processImage(input, options);
+  const key = `${folder}/${crypto.randomUUID()}`;
+
+  const variants = {};
+  try {
+    for (const [name, variant] of Object.entries(processed.variants)) {
+      variants[name] = {
+        url: await storage.put(`${key}-${name}.webp`, variant.buffer, "image/webp"),
+        width: variant.width,
+        height: variant.height,
+      };
+    }
+  } catch (error) {
+    // Remove the variants already written; the upload error is the one to report
+    await Promise.allSettled(Object.keys(variants).map((name) => storage.remove(`${key}-${name}.webp`)));
+    throw error;
+  }
+
+  return {
+    key,
+    url: (variants.large || variants.full).url,
+    variants,
+    width: processed.width,
+    height: processed.height,
+    blurhash: processed.blurhash,
+    uploadedAt: new Date(),
+  };
+};
+
+const removeVariants = async (image, variantNames) => {
+  if (!image?.key) return;
+  await Promise.all(variantNames.map((name) => storage.remove(`${image.key}-${name}.webp`)));
+};
+
+// Delete a stored photo's variants; photos saved before variants existed are left alone.
+// Takes the photo only, so it can be passed straight to `map`.
+const removeImage = (photo) => removeVariants(photo, Object.keys(VARIANTS));
+
+const notEquirectangular = ({ width, height }) => {
+  if (Math.abs(width / height - 2) > 2 * PANORAMA_ASPECT_TOLERANCE) {
+    throw Object.assign(new Error("Panoramas must be equirectangular (twice as wide as they are tall)"), { status: 400 });
+  }
+};
+
+// Process and store an equirectangular 360° image; `url` is the full variant
+const storePanorama = (input, { folder }) =>
+  storeImage(input, {
+    folder,
+    variants: PANORAMA_VARIANTS,
+    maxPixels: MAX_PANORAMA_PIXELS,
+    check: notEquirectangular,
+  });
+
+const removePanorama = (panorama) => removeVariants(panorama, Object.keys(PANORAMA_VARIANTS));
+
+// Store an uploaded video file as is, streamed from disk, once its content is confirmed
+// to be MP4, QuickTime or WebM. Videos are not re-encoded, so any embedded metadata is kept.
+const storeVideo = async (filePath, { folder }) => {
+  const type = detectVideoType(await readHeader(filePath));
+  if (!type) throw Object.assign(new Error("Only MP4, MOV or WebM videos are allowed"), { status: 400 });
+
+  const key = `${folder}/${crypto.randomUUID()}.${type}`;
+  const contentType = VIDEO_CONTENT_TYPES[type];
+  return { key, url: await storage.putStream(key, createReadStream(filePath), contentType), contentType };
+};
+
+const removeVideo = async (video) => {
+  if (!video?.key) return;
+  await storage.remove(video.key, video.contentType);
+};
+
+// Store every uploaded file; if one fails, the ones already stored are removed
+const storeUploads = async (files = [], options) => {
+  const stored = [];
+  try {
+    for (const file of files) stored.push(await storeImage(file.path || file.buffer, options));
+  } catch (error) {
+    await Promise.all(stored.map(removeImage));
+    throw error;
+  }
+  return stored;
+};
+
+module.exports = {
+  VARIANTS,
+  PANORAMA_VARIANTS,
+  readHeader,
+  detectImageType,
+  detectVideoType,
+  processImage,
+  storeImage,
+  storeUploads,
+  removeImage,
+  storePanorama,
+  removePanorama,
+  storeVideo,
+  removeVideo,
+};
@@ -0,0 +1,68 @@
+const fs = require("fs/promises");
+const { createWriteStream } = require("fs");
+const { pipeline } = require("stream/promises");
+const path = require("path");
+const cloudinary = require("../config/cloudinary");
+
+// Where processed images and videos are kept: "local" (default) writes them under
+// UPLOAD_DIR and serves them from /uploads; "cloudinary" uploads them to the configured
+// account. Both backends store a file under a key like "spots/<id>-large.webp" and
+// return its URL; `putStream` does the same from a readable stream, for large videos.
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || "uploads");
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, "");
+
+const localStorage = {
+  name: "local",
+  async put(key, buffer) {
+    const file = path.join(UPLOAD_DIR, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${PUBLIC_URL}/uploads/${key}`;
+  },
+  async putStream(key, stream) {
+    const file = path.join(UPLOAD_DIR, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await pipeline(stream, createWriteStream(file));
+    return `${PUBLIC_URL}/uploads/${key}`;
+  },
+  async remove(key) {
+    await fs.rm(path.join(UPLOAD_DIR, key), { force: true });
+  },
+};
+
+// Cloudinary public IDs leave out the file extension, and videos live apart from images
+const publicId = (key) => key.replace(/\.[^./]+$/, "");
+const resourceType = (contentType = "") => (contentType.startsWith("video/") ? "video" : "image");
+
+const cloudinaryStorage = {
+  name: "cloudinary",
+  put(key, buffer, contentType) {
+    return new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { public_id: publicId(key), resource_type: resourceType(contentType), overwrite: true },
+        (error, result) => (error ? reject(error) : resolve(result.secure_url))
+      );
+      stream.end(buffer);
+    });
+  },
+  putStream(key, stream, contentType) {
+    return new Promise((resolve, reject) => {
+      const upload = cloudinary.uploader.upload_stream(
+        { public_id: publicId(key), resource_type: resourceType(contentType), overwrite: true },
+        (error, result) => (error ? reject(error) : resolve(result.secure_url))
+      );
+      stream.on("error", reject).pipe(upload);
+    });
+  },
+  async remove(key, contentType) {
+    await cloudinary.uploader.destroy(publicId(key), { resource_type: resourceType(contentType) });
+  },
+};
+
+const BACKENDS = { local: localStorage, cloudinary: cloudinaryStorage };
+
+const storage = BACKENDS[process.env.IMAGE_STORAGE || "local"];
+if (!storage) throw new Error(`Unknown IMAGE_STORAGE "${process.env.IMAGE_STORAGE}"; use local or cloudinary`);
+
+module.exports = { storage, UPLOAD_DIR };
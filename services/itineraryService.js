@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+const Spot = require("../models/Spot");
+const { EARTH_RADIUS_KM } = require("./searchService");
+
+const SPOT_FIELDS = "name city location photos averageRating status submittedBy";
+
+const toRad = (degrees) => (degrees * Math.PI) / 180;
+const round = (km) => Number(km.toFixed(2));
+
+// Great-circle distance in km between two [longitude, latitude] points (haversine)
+const distanceKm = ([lon1, lat1], [lon2, lat2]) => {
+  const a =
+    Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lon2 - lon1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(Math.min(1, a)));
+};
+
+// Straight-line distance visiting the points in order
+const pathDistance = (points) =>
+  points.slice(1).reduce((sum, point, i) => sum + distanceKm(points[i], point), 0);
+
+// Greedy nearest-neighbour route that keeps the first point as the start.
+// Returns the visiting order as indexes into `points`.
+const nearestNeighbourOrder = (points) => {
+  if (points.length < 3) return points.map((_, i) => i);
+
+  const order = [0];
+  const remaining = new Set(points.keys());
+  remaining.delete(0);
+  while (remaining.size) {
+    const last = points[order[order.length - 1]];
+    let next = null;
+    let best = Infinity;
+    remaining.forEach((i) => {
+      const distance = distanceKm(last, points[i]);
+      if (distance < best) {
+        best = distance;
+        next = i;
+      }
+    });
+    order.push(next);
+    remaining.delete(next);
+  }
+  return order;
+};
+
+const spotIdsOf = (days) => [...new Set(days.flatMap((day) => day.stops.map((stop) => stop.spot.toString())))];
+
+// Approved spots, plus (for the owner) their own spots still awaiting moderation
+const isUsable = (spot, ownerId) =>
+  spot.status === "approved" || (!!ownerId && spot.submittedBy?.toString() === ownerId.toString());
+
+// Check that every spot in the submitted days exists and can be planned by the owner
+const assertSpotsAvailable = async (days, ownerId) => {
+  const ids = spotIdsOf(days);
+  const spots = await Spot.find({ _id: { $in: ids } }).select("status submittedBy").lean();
+  const usable = new Set(spots.filter((spot) => isUsable(spot, ownerId)).map((spot) => spot._id.toString()));
+  const unavailable = ids.filter((id) => !usable.has(id));
+  if (unavailable.length) {
+    throw Object.assign(new Error(`Spots not found or not available: ${unavailable.join(", ")}`), { status: 400 });
+  }
+};
+
+// Spots referenced by the itinerary that the viewer may see, keyed by id
+const loadSpots = async (itinerary, { isOwner }) => {
+  const ownerId = isOwner ? itinerary.user._id || itinerary.user : null;
+  const spots = await Spot.find({ _id: { $in: spotIdsOf(itinerary.days) } }).select(SPOT_FIELDS).lean();
+  return new Map(spots.filter((spot) => isUsable(spot, ownerId)).map((spot) => [spot._id.toString(), spot]));
+};
+
+// Stops of a day in suggested order; stops whose spot is no longer available go last
+const suggestStops = (stops, spots) => {
+  const located = stops.filter((stop) => spots.has(stop.spot.toString()));
+  const missing = stops.filter((stop) => !spots.has(stop.spot.toString()));
+  const points = located.map((stop) => spots.get(stop.spot.toString()).location.coordinates);
+  return [...nearestNeighbourOrder(points).map((i) => located[i]), ...missing];
+};
+
+const stopPoints = (stops, spots) =>
+  stops.filter((stop) => spots.has(stop.spot.toString())).map((stop) => spots.get(stop.spot.toString()).location.coordinates);
+
+// Itinerary with spot summaries, leg and day distances, the total straight-line
+// distance of the trip and a nearest-neighbour suggested order for each day
+const describeItinerary = async (itinerary, { isOwner = false } = {}) => {
+  const spots = await loadSpots(itinerary, { isOwner });
+  const { shareToken, ...rest } = itinerary;
+
+  const days = itinerary.days.map((day) => {
+    let previous = null;
+    const stops = day.stops.map((stop) => {
+      const spot = spots.get(stop.spot.toString());
+      if (!spot) return { spot: null, spotId: stop.spot, note: stop.note, available: false };
+
+      const { coordinates } = spot.location;
+      const legKm = previous ? round(distanceKm(previous, coordinates)) : 0;
+      previous = coordinates;
+      return {
+        spot: {
+          _id: spot._id,
+          name: spot.name,
+          city: spot.city,
+          location: spot.location,
+          photo: spot.photos?.[0]?.url || null,
+          averageRating: spot.averageRating || 0,
+        },
+        note: stop.note,
+        available: true,
+        legKm,
+      };
+    });
+
+    const distance = pathDistance(stopPoints(day.stops, spots));
+    const suggested = suggestStops(day.stops, spots);
+    const suggestedDistance = pathDistance(stopPoints(suggested, spots));
+    return {
+      ...day,
+      stops,
+      distanceKm: round(distance),
+      suggestedOrder: suggested.map((stop) => stop.spot),
+      suggestedDistanceKm: round(suggestedDistance),
+      savingsKm: round(Math.max(0, distance - suggestedDistance)),
+    };
+  });
+
+  return {
+    ...rest,
+    ...(isOwner && { shareToken: shareToken || null }),
+    days,
+    totalDistanceKm: round(pathDistance(stopPoints(itinerary.days.flatMap((day) => day.stops), spots))),
+  };
+};
+
+// Reorder the stops of one day (or every day) into the suggested order
+const optimizeItinerary = async (itinerary, dayIndex) => {
+  const spots = await loadSpots(itinerary, { isOwner: true });
+  itinerary.days.forEach((day, i) => {
+    if (dayIndex === undefined || dayIndex === i) {
+      day.stops = suggestStops(day.stops.map((stop) => stop.toObject()), spots);
+    }
+  });
+  return itinerary;
+};
+
+const generateShareToken = () => crypto.randomBytes(24).toString("base64url");
+
+module.exports = {
+  distanceKm,
+  nearestNeighbourOrder,
+  assertSpotsAvailable,
+  describeItinerary,
+  optimizeItinerary,
+  generateShareToken,
+};
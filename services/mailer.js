@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const winston = require("winston");
+
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Transports receive { to, subject, text } and return a promise.
+// Pick one with MAIL_TRANSPORT (console, file or smtp; defaults to smtp in production
+// and console elsewhere); add more with registerTransport.
+const transports = {
+  // Local development: print the message
+  console: async (message) => {
+    logger.info("Mail (console transport)", message);
+  },
+
+  // Local development: write each message as JSON into MAIL_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || "mail";
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, "_")}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    logger.info("Mail written to file", { to: message.to, subject: message.subject, file });
+  },
+
+  // Production: send through SMTP_URL with nodemailer
+  smtp: (() => {
+    let transporter;
+    return (message) => {
+      if (!transporter) {
+        transporter = require("nodemailer").createTransport(process.env.SMTP_URL);
+      }
+      return transporter.sendMail({ from: process.env.MAIL_FROM || "no-reply@waydown.app", ...message });
+    };
+  })(),
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendMail = async (message) => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === "production" ? "smtp" : "console");
+  const send = transports[name];
+  if (!send) throw new Error(`Unknown mail transport: ${name}`);
+  return send(message);
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,36 @@
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+
+// Persist a notification for a user and push it to their socket room.
+// The stored notification id travels with the socket payload so clients
+// can reconcile realtime events with the inbox.
+const notify = async (io, { userId, type, event, actor, relatedId, relatedModel, data = {} }) => {
+  const recipient = await User.findById(userId).select("notificationsEnabled");
+  if (!recipient) return null;
+
+  const notification = await Notification.create({
+    userId: recipient._id,
+    type,
+    actor,
+    relatedId,
+    relatedModel,
+    data,
+  });
+
+  if (io && event && recipient.notificationsEnabled) {
+    io.to(recipient._id.toString()).emit(event, {
+      ...data,
+      notificationId: notification._id,
+    });
+  }
+
+  return notification;
+};
+
+// Notify every admin, e.g. when content is reported
+const notifyAdmins = async (io, payload) => {
+  const admins = await User.find({ isAdmin: true }).select("_id");
+  return Promise.all(admins.map((admin) => notify(io, { ...payload, userId: admin._id })));
+};
+
+module.exports = { notify, notifyAdmins };
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const invalidCursor = () => Object.assign(new Error("Invalid cursor"), { status: 400 });
+
+const valueAt = (doc, path) => path.split(".").reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Cursors are opaque to clients: the sort key values of the last item on a page,
+// EJSON-encoded so dates and ObjectIds survive the round trip
+const encodeCursor = (doc, sort) =>
+  Buffer.from(EJSON.stringify(Object.keys(sort).map((key) => valueAt(doc, key)))).toString("base64url");
+
+const decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidCursor();
+  }
+  if (!Array.isArray(values) || values.length !== Object.keys(sort).length) throw invalidCursor();
+  return values;
+};
+
+// Filter matching the documents that come after the cursor in the given sort order.
+// The sort must end with _id so every position is unique.
+const afterCursor = (sort, values) => {
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, i) => {
+      const clause = {};
+      keys.slice(0, i).forEach((previous, j) => {
+        clause[previous] = values[j];
+      });
+      clause[key] = { [sort[key] < 0 ? "$lt" : "$gt"]: values[i] };
+      return clause;
+    }),
+  };
+};
+
+// Page options from a validated query string. Passing `cursor` (empty for the first
+// page) switches to cursor mode.
+const pageOptions = (req, defaultLimit = 10) => ({
+  page: req.query.page || 1,
+  limit: req.query.limit || defaultLimit,
+  cursor: req.query.cursor,
+});
+
+// Restrict a filter to the documents after the cursor; an empty cursor starts at the top
+const applyCursor = (filter, sort, cursor) =>
+  cursor ? { $and: [filter, afterCursor(sort, decodeCursor(cursor, sort))] } : filter;
+
+// Run a find() either in page/limit mode (with totalPages) or in cursor mode, which
+// skips both the skip and the count. Both modes return nextCursor (null on the last
+// page) so clients can switch to cursors at any point. `decorate` adds populate/select.
+const paginateFind = async (Model, filter, { sort, page = 1, limit = 10, cursor, decorate = (query) => query }) => {
+  const cursorMode = cursor !== undefined;
+  let query = Model.find(cursorMode ? applyCursor(filter, sort, cursor) : filter)
+    .sort(sort)
+    .limit(limit + 1);
+  if (!cursorMode) query = query.skip((page - 1) * limit);
+
+  const items = await decorate(query).lean();
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  const result = { items, nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null };
+  if (!cursorMode) {
+    const total = await Model.countDocuments(filter);
+    result.totalPages = Math.ceil(total / limit);
+  }
+  return result;
+};
+
+module.exports = { invalidCursor, encodeCursor, decodeCursor, afterCursor, applyCursor, pageOptions, paginateFind };
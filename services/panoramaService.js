@@ -0,0 +1,94 @@
+const { readHeader, detectVideoType, storePanorama, removePanorama, storeVideo, removeVideo } = require("./imageService");
+
+const MAX_PANORAMAS = 20;
+const MAX_HOTSPOTS = 20;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Store an uploaded 360° image or video file; returns the fields of a new panorama entry
+const storePanoramaMedia = async (file) => {
+  if (detectVideoType(await readHeader(file.path))) {
+    return { type: "video", ...(await storeVideo(file.path, { folder: "panoramas" })) };
+  }
+  return { type: "image", ...(await storePanorama(file.path, { folder: "panoramas" })) };
+};
+
+const removePanoramaMedia = (panorama) => (panorama.type === "video" ? removeVideo(panorama) : removePanorama(panorama));
+
+// Delete the stored files of every panorama of a deleted spot
+const removeSpotPanoramas = (spot) => Promise.all((spot.panoramas || []).map(removePanoramaMedia));
+
+const sameId = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Add a panorama to the tour; the first one becomes the start
+const addPanorama = (spot, fields) => {
+  if (spot.panoramas.length >= MAX_PANORAMAS) {
+    throw badRequest(`A spot can have at most ${MAX_PANORAMAS} panoramas`);
+  }
+  spot.panoramas.push(fields);
+  const panorama = spot.panoramas[spot.panoramas.length - 1];
+  if (!spot.startPanorama) spot.startPanorama = panorama._id;
+  return panorama;
+};
+
+// Take a panorama out of the tour, along with every hotspot leading to it.
+// Returns the removed panorama, whose files are still stored.
+const removePanoramaFromTour = (spot, panorama) => {
+  const removed = panorama.toObject();
+  spot.panoramas.pull(panorama._id);
+  spot.panoramas.forEach((other) => {
+    other.hotspots = other.hotspots.filter((hotspot) => !sameId(hotspot.target, removed._id));
+  });
+  if (sameId(spot.startPanorama, removed._id)) spot.startPanorama = spot.panoramas[0]?._id;
+  return removed;
+};
+
+// Link `panorama` to another panorama of the same spot
+const addHotspot = (spot, panorama, { targetId, yaw, pitch, label }) => {
+  if (sameId(panorama._id, targetId)) throw badRequest("A hotspot cannot link a panorama to itself");
+  if (!spot.panoramas.id(targetId)) throw badRequest("Target panorama not found on this spot");
+  if (panorama.hotspots.length >= MAX_HOTSPOTS) {
+    throw badRequest(`A panorama can have at most ${MAX_HOTSPOTS} hotspots`);
+  }
+  panorama.hotspots.push({ target: targetId, yaw, pitch, label });
+  return panorama.hotspots[panorama.hotspots.length - 1];
+};
+
+// The spot's virtual tour: the legacy single 360° view, every panorama (storage keys
+// left out) and the hotspot links between them as a flat list of edges
+const describeTour = (spot) => {
+  const panoramas = (spot.panoramas || []).map((panorama) => {
+    const { key, ...rest } = panorama.toObject ? panorama.toObject() : panorama;
+    return rest;
+  });
+  const links = panoramas.flatMap((panorama) =>
+    panorama.hotspots.map((hotspot) => ({
+      hotspotId: hotspot._id,
+      from: panorama._id,
+      to: hotspot.target,
+      yaw: hotspot.yaw,
+      pitch: hotspot.pitch,
+      label: hotspot.label,
+    }))
+  );
+
+  return {
+    imageUrl: spot.view360?.imageUrl || "",
+    description: spot.view360?.description || "",
+    startPanoramaId: spot.startPanorama || panoramas[0]?._id || null,
+    panoramas,
+    links,
+  };
+};
+
+module.exports = {
+  MAX_PANORAMAS,
+  MAX_HOTSPOTS,
+  storePanoramaMedia,
+  removePanoramaMedia,
+  removeSpotPanoramas,
+  addPanorama,
+  removePanoramaFromTour,
+  addHotspot,
+  describeTour,
+};
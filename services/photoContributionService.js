@@ -0,0 +1,89 @@
+const SpotPhoto = require("../models/SpotPhoto");
+const { storeUploads, removeImage } = require("./imageService");
+
+const CONTRIBUTOR_FIELDS = "username profilePic";
+
+// Store uploaded files as pending contributions to a spot
+const contributePhotos = async (spot, userId, files, { caption } = {}) => {
+  const images = await storeUploads(files, { folder: "contributions" });
+  try {
+    return await SpotPhoto.insertMany(
+      images.map((image) => ({ ...image, spot: spot._id, user: userId, caption, status: "pending" }))
+    );
+  } catch (error) {
+    await Promise.all(images.map(removeImage));
+    throw error;
+  }
+};
+
+// A contribution as shown to clients: likes are a count plus whether the viewer liked it
+const presentContribution = (photo, userId) => {
+  const { likedBy = [], key, ...rest } = photo;
+  return {
+    ...rest,
+    source: "contribution",
+    contributor: photo.user,
+    likeCount: likedBy.length,
+    liked: !!userId && likedBy.includes(userId),
+  };
+};
+
+// The spot's own photos (credited to its submitter) followed by approved
+// contributions, most liked first
+const listSpotImages = async (spot, userId) => {
+  const ownPhotos = (spot.photos || []).map(({ key, ...photo }) => ({
+    ...photo,
+    source: "owner",
+    contributor: spot.submittedBy,
+  }));
+
+  const contributions = await SpotPhoto.aggregate([
+    { $match: { spot: spot._id, status: "approved" } },
+    { $addFields: { likeCount: { $size: "$likedBy" } } },
+    { $sort: { likeCount: -1, createdAt: 1, _id: 1 } },
+    { $project: { likeCount: 0 } },
+  ]);
+  await SpotPhoto.populate(contributions, { path: "user", select: CONTRIBUTOR_FIELDS });
+
+  return [...ownPhotos, ...contributions.map((photo) => presentContribution(photo, userId))];
+};
+
+// Approve or reject a contribution
+const reviewContribution = async (photo, { status, note, reviewerId }) => {
+  photo.status = status;
+  photo.review = { reviewedBy: reviewerId, reviewedAt: new Date(), note: note || "" };
+  await photo.save();
+  return photo;
+};
+
+const removeContribution = async (photo) => {
+  await photo.deleteOne();
+  await removeImage(photo);
+};
+
+// Delete every contribution to a deleted spot, with their stored files
+const removeSpotContributions = async (spotId) => {
+  const photos = await SpotPhoto.find({ spot: spotId }).select("key").lean();
+  await SpotPhoto.deleteMany({ spot: spotId });
+  await Promise.all(photos.map(removeImage));
+};
+
+// Like or unlike an approved contribution; returns false if nothing changed
+const setContributionLike = async (photoId, userId, liked) => {
+  const result = await SpotPhoto.updateOne(
+    { _id: photoId, status: "approved" },
+    liked ? { $addToSet: { likedBy: userId } } : { $pull: { likedBy: userId } }
+  );
+  return result.modifiedCount === 1;
+};
+
+module.exports = {
+  CONTRIBUTOR_FIELDS,
+  contributePhotos,
+  presentContribution,
+  listSpotImages,
+  reviewContribution,
+  removeContribution,
+  removeSpotContributions,
+  setContributionLike,
+};
@@ -0,0 +1,335 @@
+const mongoose = require("mongoose");
+const Spot = require("../models/Spot");
+const User = require("../models/User");
+const Recommendation = require("../models/Recommendation");
+const { recentlyViewedSpots } = require("./engagementService");
+
+const MAX_RECOMMENDATIONS = 100;
+const MAX_NEIGHBOURS = 200;
+const MAX_CANDIDATES = 500;
+const SIMILAR_RADIUS_KM = 50;
+const STALE_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// How strongly each interaction says the user enjoyed a spot. Reviews scale with
+// the rating; reviews below 3 stars are not treated as interest at all.
+const SEED_WEIGHTS = { liked: 1, reviewed: 0.8, viewed: 0.3 };
+const MIN_POSITIVE_RATING = 3;
+
+// How the final score blends the signals
+const BLEND = { collaborative: 0.5, content: 0.3, following: 0.2, popularity: 0.05 };
+
+const SPOT_FIELDS = "name tags difficulty location submittedBy likedBy comments.user comments.rating averageRating";
+
+const VERBS = { liked: "liked", reviewed: "reviewed", viewed: "viewed" };
+
+const toObjectIds = (ids) => ids.filter((id) => mongoose.isValidObjectId(id)).map((id) => new mongoose.Types.ObjectId(id));
+
+// Users who liked a spot or reviewed it positively. likedBy holds id strings.
+const engagedUsers = (spot) =>
+  new Set([
+    ...(spot.likedBy || []),
+    ...(spot.comments || [])
+      .filter((comment) => comment.user && comment.rating >= MIN_POSITIVE_RATING)
+      .map((comment) => comment.user.toString()),
+  ]);
+
+const haversineKm = ([lon1, lat1], [lon2, lat2]) => {
+  const toRad = (degrees) => (degrees * Math.PI) / 180;
+  const a =
+    Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lon2 - lon1) / 2) ** 2;
+  return 2 * 6378.137 * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Similarity of two spots in [0, 1] from shared tags, difficulty and distance
+const contentSimilarity = (a, b) => {
+  const tagsA = new Set(a.tags || []);
+  const tagsB = b.tags || [];
+  const union = new Set([...tagsA, ...tagsB]).size;
+  const tagScore = union > 0 ? tagsB.filter((tag) => tagsA.has(tag)).length / union : 0;
+
+  const difficultyScore = a.difficulty && a.difficulty !== "Unknown" && a.difficulty === b.difficulty ? 1 : 0;
+
+  const coordsA = a.location?.coordinates;
+  const coordsB = b.location?.coordinates;
+  const proximity =
+    coordsA?.length === 2 && coordsB?.length === 2
+      ? Math.max(0, 1 - haversineKm(coordsA, coordsB) / SIMILAR_RADIUS_KM)
+      : 0;
+
+  return 0.6 * tagScore + 0.15 * difficultyScore + 0.25 * proximity;
+};
+
+// Spots the user liked, reviewed positively or viewed, with how much each counts
+const collectSeeds = async (user) => {
+  const userId = user._id.toString();
+  const seeds = new Map();
+  const addSeed = (spot, reason, weight) => {
+    const id = spot._id.toString();
+    if (!seeds.has(id) || seeds.get(id).weight < weight) seeds.set(id, { spot, reason, weight });
+  };
+
+  const engaged = await Spot.find({ $or: [{ likedBy: userId }, { "comments.user": user._id }] })
+    .select(SPOT_FIELDS)
+    .lean();
+  engaged.forEach((spot) => {
+    if ((spot.likedBy || []).includes(userId)) addSeed(spot, "liked", SEED_WEIGHTS.liked);
+    const review = (spot.comments || []).find((comment) => comment.user?.toString() === userId);
+    if (review && review.rating >= MIN_POSITIVE_RATING) {
+      addSeed(spot, "reviewed", (SEED_WEIGHTS.reviewed * review.rating) / 5);
+    }
+  });
+
+  const viewedIds = await recentlyViewedSpots(user._id);
+  const viewed = await Spot.find({ _id: { $in: viewedIds } }).select(SPOT_FIELDS).lean();
+  viewed.forEach((spot) => addSeed(spot, "viewed", SEED_WEIGHTS.viewed));
+
+  return seeds;
+};
+
+// Pick the explanation for a recommendation from its strongest signal
+const explain = (entry, parts, seedList) => {
+  const strongest = Object.keys(parts).reduce((best, key) => (parts[key] > parts[best] ? key : best));
+  if (parts[strongest] === 0) {
+    return { reason: "popular", explanation: "Popular with other explorers" };
+  }
+
+  if (strongest === "following") {
+    return {
+      reason: "following",
+      becauseOf: entry.followedUser._id,
+      becauseOfModel: "User",
+      explanation: `Because you follow ${entry.followedUser.username}`,
+    };
+  }
+
+  // The seed that best explains the spot: for collaborative matches the seed sharing
+  // the most fans with it, otherwise the most similar seed
+  let seed = entry.contentSeed;
+  if (strongest === "collaborative") {
+    const fans = engagedUsers(entry.spot);
+    let bestOverlap = 0;
+    seedList.forEach((candidateSeed) => {
+      let overlap = 0;
+      engagedUsers(candidateSeed.spot).forEach((id) => {
+        if (fans.has(id)) overlap++;
+      });
+      if (overlap * candidateSeed.weight > bestOverlap) {
+        bestOverlap = overlap * candidateSeed.weight;
+        seed = candidateSeed;
+      }
+    });
+  }
+
+  if (!seed) {
+    const matching = (entry.spot.tags || []).slice(0, 3).join(", ");
+    return { reason: "interests", explanation: `Matches your interests: ${matching}` };
+  }
+
+  return {
+    reason: seed.reason,
+    becauseOf: seed.spot._id,
+    becauseOfModel: "Spot",
+    explanation: `Because you ${VERBS[seed.reason]} ${seed.spot.name}`,
+  };
+};
+
+// Compute and store recommendations for a user from their behaviour:
+// - collaborative: spots liked or reviewed by people who engaged with the same spots
+// - content: spots similar in tags, difficulty and location to the ones they engaged with
+// - following: spots submitted or liked by people they follow
+// Falls back to interests and then popularity for new users.
+const computeRecommendations = async (userId) => {
+  const user = await User.findById(userId).select("following interests").lean();
+  if (!user) return null;
+  const ownId = user._id.toString();
+
+  const seeds = await collectSeeds(user);
+  const seedList = [...seeds.values()];
+
+  // Never recommend the user's own spots or spots they already engaged with
+  const baseFilter = {
+    status: "approved",
+    submittedBy: { $ne: user._id },
+    _id: { $nin: toObjectIds([...seeds.keys()]) },
+  };
+
+  const candidates = new Map();
+  const candidate = (spot) => {
+    const id = spot._id.toString();
+    if (!candidates.has(id)) {
+      candidates.set(id, { spot, collaborative: 0, content: 0, following: 0, contentSeed: null, followedUser: null });
+    }
+    return candidates.get(id);
+  };
+
+  // Neighbours: people who engaged with the same seed spots. Popular seeds say
+  // less about taste, so their weight is damped by their audience size.
+  const neighbourScores = new Map();
+  seedList.forEach((seed) => {
+    const others = [...engagedUsers(seed.spot)].filter((id) => id !== ownId);
+    const weight = seed.weight / Math.log2(2 + others.length);
+    others.forEach((id) => neighbourScores.set(id, (neighbourScores.get(id) || 0) + weight));
+  });
+  const neighbours = new Map(
+    [...neighbourScores.entries()].sort((a, b) => b[1] - a[1]).slice(0, MAX_NEIGHBOURS)
+  );
+
+  if (neighbours.size > 0) {
+    const neighbourIds = [...neighbours.keys()];
+    const coEngaged = await Spot.find({
+      ...baseFilter,
+      $or: [{ likedBy: { $in: neighbourIds } }, { "comments.user": { $in: toObjectIds(neighbourIds) } }],
+    })
+      .select(SPOT_FIELDS)
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    coEngaged.forEach((spot) => {
+      let score = 0;
+      engagedUsers(spot).forEach((id) => {
+        score += neighbours.get(id) || 0;
+      });
+      candidate(spot).collaborative = score;
+    });
+  }
+
+  // Content similarity against the seeds, or against the user's interests when
+  // they have not engaged with anything yet
+  const profileTags = seedList.length > 0
+    ? [...new Set(seedList.flatMap((seed) => seed.spot.tags || []))]
+    : user.interests || [];
+  if (profileTags.length > 0) {
+    const similar = await Spot.find({ ...baseFilter, tags: { $in: profileTags } })
+      .sort({ averageRating: -1, createdAt: -1 })
+      .select(SPOT_FIELDS)
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    similar.forEach((spot) => {
+      const entry = candidate(spot);
+      if (seedList.length === 0) {
+        const matching = (spot.tags || []).filter((tag) => profileTags.includes(tag));
+        entry.content = Math.min(1, matching.length / Math.min(profileTags.length, 3));
+        return;
+      }
+      seedList.forEach((seed) => {
+        const similarity = contentSimilarity(seed.spot, spot) * seed.weight;
+        if (similarity > entry.content) {
+          entry.content = similarity;
+          entry.contentSeed = seed;
+        }
+      });
+    });
+  }
+
+  // Spots from people the user follows
+  const following = (user.following || []).map((id) => id.toString());
+  if (following.length > 0) {
+    const followedUsers = await User.find({ _id: { $in: user.following } }).select("username").lean();
+    const usernames = new Map(followedUsers.map((followed) => [followed._id.toString(), followed.username]));
+
+    const fromFollowing = await Spot.find({
+      ...baseFilter,
+      $or: [{ submittedBy: { $in: user.following } }, { likedBy: { $in: following } }],
+    })
+      .sort({ createdAt: -1 })
+      .select(SPOT_FIELDS)
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    fromFollowing.forEach((spot) => {
+      const submitter = spot.submittedBy.toString();
+      const liker = (spot.likedBy || []).find((id) => usernames.has(id));
+      const followedId = usernames.has(submitter) ? submitter : liker;
+      if (!followedId) return;
+      const entry = candidate(spot);
+      entry.following = usernames.has(submitter) ? 1 : 0.6;
+      entry.followedUser = { _id: followedId, username: usernames.get(followedId) };
+    });
+  }
+
+  // Popular spots fill the list for users with little or no history
+  if (candidates.size < MAX_RECOMMENDATIONS) {
+    const popular = await Spot.aggregate([
+      { $match: baseFilter },
+      { $addFields: { likeCount: { $size: { $ifNull: ["$likedBy", []] } } } },
+      { $sort: { likeCount: -1, averageRating: -1, _id: -1 } },
+      { $limit: MAX_RECOMMENDATIONS },
+      { $project: { name: 1, tags: 1, likedBy: 1, averageRating: 1 } },
+    ]);
+    popular.forEach((spot) => candidate(spot));
+  }
+
+  const maxCollaborative = Math.max(0, ...[...candidates.values()].map((entry) => entry.collaborative));
+  const items = [...candidates.values()].map((entry) => {
+    const { spot } = entry;
+    const parts = {
+      collaborative: maxCollaborative > 0 ? (BLEND.collaborative * entry.collaborative) / maxCollaborative : 0,
+      content: BLEND.content * entry.content,
+      following: BLEND.following * entry.following,
+    };
+    const popularity = BLEND.popularity * Math.min(1, Math.log1p((spot.likedBy || []).length) / 5);
+    const score = parts.collaborative + parts.content + parts.following + popularity;
+
+    return { ...explain(entry, parts, seedList), spot: spot._id, score: Number(score.toFixed(4)) };
+  });
+
+  items.sort((a, b) => b.score - a.score);
+
+  return Recommendation.findOneAndUpdate(
+    { user: user._id },
+    { $set: { items: items.slice(0, MAX_RECOMMENDATIONS), computedAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+};
+
+// Serve a user's recommendations, recomputing them if missing or older than a day.
+// Spots that were liked, unpublished or deleted since the last run are skipped.
+const getRecommendations = async (userId, { page = 1, limit = 10 } = {}) => {
+  let recommendation = await Recommendation.findOne({ user: userId }).lean();
+  if (!recommendation || Date.now() - recommendation.computedAt.getTime() > STALE_AFTER_MS) {
+    recommendation = await computeRecommendations(userId);
+    if (!recommendation) return null;
+  }
+
+  const spots = await Spot.find({
+    _id: { $in: recommendation.items.map((item) => item.spot) },
+    status: "approved",
+    likedBy: { $ne: userId.toString() },
+  })
+    .select("-reports")
+    .populate("submittedBy", "username profilePic")
+    .lean();
+  const spotsById = new Map(spots.map((spot) => [spot._id.toString(), spot]));
+
+  const available = recommendation.items.filter((item) => spotsById.has(item.spot.toString()));
+  const skip = (page - 1) * limit;
+  return {
+    spots: available.slice(skip, skip + limit).map(({ spot, ...details }) => ({
+      ...spotsById.get(spot.toString()),
+      recommendation: details,
+    })),
+    totalPages: Math.ceil(available.length / limit),
+    computedAt: recommendation.computedAt,
+  };
+};
+
+// Recompute recommendations for every user active in the last 30 days
+const refreshRecommendations = async () => {
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const cursor = User.find({ lastActive: { $gte: since }, isBanned: { $ne: true } }).select("_id").lean().cursor();
+
+  let users = 0;
+  for await (const user of cursor) {
+    await computeRecommendations(user._id);
+    users++;
+  }
+  return { users };
+};
+
+// Drop a deleted spot from every user's precomputed recommendations
+const removeSpotRecommendations = (spotId) =>
+  Recommendation.updateMany({ "items.spot": spotId }, { $pull: { items: { spot: spotId } } });
+
+module.exports = { computeRecommendations, getRecommendations, refreshRecommendations, removeSpotRecommendations };
@@ -0,0 +1,149 @@
+const Spot = require("../models/Spot");
+const { applyCursor, encodeCursor } = require("./paginationService");
+
+const EARTH_RADIUS_KM = 6378.137;
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// MongoDB $text treats quotes as phrases and a leading "-" as negation; strip both so
+// user input is only ever a list of plain search terms
+const sanitizeTextQuery = (text) =>
+  String(text)
+    .replace(/["\\]/g, " ")
+    .replace(/(^|\s)-+/g, "$1")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, 200);
+
+// Great-circle distance in km from a point to each spot's location (haversine)
+const distanceExpression = (lon, lat) => {
+  const toRad = (value) => ({ $degreesToRadians: value });
+  const spotLon = { $arrayElemAt: ["$location.coordinates", 0] };
+  const spotLat = { $arrayElemAt: ["$location.coordinates", 1] };
+  const halfDLat = { $divide: [{ $subtract: [toRad(spotLat), toRad(lat)] }, 2] };
+  const halfDLon = { $divide: [{ $subtract: [toRad(spotLon), toRad(lon)] }, 2] };
+  const a = {
+    $add: [
+      { $pow: [{ $sin: halfDLat }, 2] },
+      {
+        $multiply: [
+          { $cos: toRad(lat) },
+          { $cos: toRad(spotLat) },
+          { $pow: [{ $sin: halfDLon }, 2] },
+        ],
+      },
+    ],
+  };
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, a] } } }] };
+};
+
+const SORTS = {
+  relevance: { score: -1, averageRating: -1, _id: -1 },
+  rating: { averageRating: -1, _id: -1 },
+  newest: { createdAt: -1, _id: -1 },
+  popular: { likeCount: -1, _id: -1 },
+  distance: { distanceKm: 1, _id: -1 },
+};
+
+// Weighted full-text search over approved spots with filters, sorting and facet counts.
+// Uses the SpotTextIndex text index and the location 2dsphere index.
+const searchSpots = async ({
+  query,
+  tags,
+  difficulty,
+  city,
+  minRating,
+  lat,
+  lon,
+  radius,
+  sort,
+  page = 1,
+  limit = 10,
+  cursor,
+}) => {
+  const match = { status: "approved" };
+  const text = query ? sanitizeTextQuery(query) : "";
+  if (text) match.$text = { $search: text };
+  if (tags && tags.length > 0) match.tags = { $in: tags };
+  if (difficulty) match.difficulty = difficulty;
+  if (city) match.city = { $regex: `^${escapeRegex(city.trim())}$`, $options: "i" };
+  if (minRating) match.averageRating = { $gte: minRating };
+
+  const hasPoint = typeof lat === "number" && typeof lon === "number";
+  if (hasPoint && radius) {
+    match.location = {
+      $geoWithin: { $centerSphere: [[lon, lat], radius / EARTH_RADIUS_KM] },
+    };
+  }
+
+  const sortKey = sort || (text ? "relevance" : hasPoint ? "distance" : "newest");
+  if (sortKey === "relevance" && !text) {
+    throw Object.assign(new Error("Relevance sorting requires a search query"), { status: 400 });
+  }
+  if (sortKey === "distance" && !hasPoint) {
+    throw Object.assign(new Error("Distance sorting requires lat and lon"), { status: 400 });
+  }
+
+  const cursorMode = cursor !== undefined;
+  const addFields = { likeCount: { $size: { $ifNull: ["$likedBy", []] } } };
+  if (text) addFields.score = { $meta: "textScore" };
+  if (hasPoint) addFields.distanceKm = distanceExpression(lon, lat);
+
+  const countBy = (field) => [
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $match: { _id: { $nin: [null, ""] } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, value: "$_id", count: 1 } },
+  ];
+
+  const [result] = await Spot.aggregate([
+    { $match: match },
+    { $addFields: addFields },
+    {
+      $facet: {
+        spots: [
+          ...(cursorMode ? [{ $match: applyCursor({}, SORTS[sortKey], cursor) }] : []),
+          { $sort: SORTS[sortKey] },
+          ...(cursorMode ? [] : [{ $skip: (page - 1) * limit }]),
+          { $limit: limit + 1 },
+          {
+            $lookup: {
+              from: "users",
+              localField: "submittedBy",
+              foreignField: "_id",
+              as: "submittedBy",
+              pipeline: [{ $project: { username: 1, profilePic: 1 } }],
+            },
+          },
+          { $unwind: { path: "$submittedBy", preserveNullAndEmptyArrays: true } },
+          { $project: { reports: 0 } },
+        ],
+        total: [{ $count: "count" }],
+        tags: [{ $unwind: "$tags" }, ...countBy("$tags")],
+        difficulty: countBy("$difficulty"),
+        cities: [...countBy("$city"), { $limit: 20 }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  const spots = result.spots;
+  const hasMore = spots.length > limit;
+  if (hasMore) spots.pop();
+
+  return {
+    spots,
+    total,
+    ...(cursorMode ? {} : { totalPages: Math.ceil(total / limit) }),
+    nextCursor: hasMore ? encodeCursor(spots[spots.length - 1], SORTS[sortKey]) : null,
+    sort: sortKey,
+    facets: {
+      tags: result.tags,
+      difficulty: result.difficulty,
+      cities: result.cities,
+    },
+  };
+};
+
+module.exports = { searchSpots, escapeRegex, sanitizeTextQuery, distanceExpression, EARTH_RADIUS_KM };
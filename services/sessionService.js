@@ -0,0 +1,142 @@
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { signToken, verifyToken } = require("./tokenService");
+
+const ACCESS_TOKEN_TTL = 60 * 60; // 1 hour, in seconds
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Build an error carrying the HTTP status for callers
+const sessionError = (status, message, code) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+// Short label such as "Chrome on Android" from a user-agent string
+const describeDevice = (userAgent = "") => {
+  const browser =
+    [["Edge", /Edg\//], ["Chrome", /Chrome\//], ["Firefox", /Firefox\//], ["Safari", /Safari\//]]
+      .find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const os =
+    [["Android", /Android/], ["iOS", /iPhone|iPad/], ["Windows", /Windows/], ["macOS", /Mac OS X/], ["Linux", /Linux/]]
+      .find(([, pattern]) => pattern.test(userAgent))?.[0];
+  if (!browser && !os) return userAgent ? "Unknown device" : "";
+  return [browser, os].filter(Boolean).join(" on ");
+};
+
+const signTokens = (userId, sessionId) => {
+  const refreshToken = signToken(
+    "refresh",
+    { userId, sid: sessionId, jti: crypto.randomUUID() },
+    REFRESH_TOKEN_TTL_MS / 1000
+  );
+  const accessToken = signToken("access", { userId, sid: sessionId }, ACCESS_TOKEN_TTL);
+  return { accessToken, refreshToken };
+};
+
+// Start a session for a user after a successful login or signup
+const createSession = async (user, req) => {
+  const userAgent = req.headers["user-agent"] || "";
+  const session = new Session({
+    user: user._id,
+    tokenHash: "pending",
+    userAgent,
+    device: req.body?.deviceName || describeDevice(userAgent),
+    ip: req.ip || "",
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+
+  const tokens = signTokens(user._id.toString(), session._id.toString());
+  session.tokenHash = hashToken(tokens.refreshToken);
+  await session.save();
+
+  return { ...tokens, session };
+};
+
+// Exchange a refresh token for a new token pair. Reusing an already-rotated
+// refresh token revokes the session.
+const rotateSession = async (refreshToken, req) => {
+  let claims;
+  try {
+    claims = verifyToken("refresh", refreshToken);
+  } catch (error) {
+    throw sessionError(403, "Invalid or expired refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  const user = claims.sid && (await User.findById(claims.userId));
+  if (!user) throw sessionError(403, "Invalid or expired refresh token", "INVALID_REFRESH_TOKEN");
+
+  // Check and rotate in one update, so two requests with the same token cannot both
+  // rotate it
+  const now = new Date();
+  const tokens = signTokens(user._id.toString(), claims.sid);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: claims.sid,
+      user: user._id,
+      tokenHash: hashToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    },
+    {
+      $set: {
+        tokenHash: hashToken(tokens.refreshToken),
+        lastUsedAt: now,
+        ...(req.ip && { ip: req.ip }),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A live session whose token has moved on means this one was already rotated
+    const reused = await Session.findOneAndUpdate(
+      { _id: claims.sid, user: user._id, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: "reuse" } }
+    );
+    if (reused) {
+      throw sessionError(403, "Refresh token reuse detected; session revoked", "REFRESH_TOKEN_REUSED");
+    }
+    throw sessionError(403, "Invalid or expired refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  return { ...tokens, user, session };
+};
+
+// Is the session behind an access token still live?
+const isSessionActive = async (sessionId) =>
+  Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+
+const listSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .select("-tokenHash")
+    .lean();
+
+const revokeSession = (userId, sessionId, reason = "revoked") =>
+  Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+
+// Revoke every session of a user, optionally keeping one (the caller's own)
+const revokeAllSessions = (userId, { except, reason = "revoked" } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  isSessionActive,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,59 @@
+const winston = require("winston");
+const { removeSpotSuggestions } = require("./suggestionService");
+const { removeSpotReferences } = require("./collectionService");
+const { removeImage } = require("./imageService");
+const { removeSpotContributions } = require("./photoContributionService");
+const { removeSpotPanoramas } = require("./panoramaService");
+const { removeSeenSpot } = require("./feedService");
+const { removeSpotRecommendations } = require("./recommendationService");
+const { removeSpotStats } = require("./spotStatsService");
+
+// Setup Winston logger
+const logger = winston.createLogger({
+  level: "info",
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: "logs/error.log", level: "error" }),
+    new winston.transports.File({ filename: "logs/combined.log" }),
+  ],
+});
+
+if (process.env.NODE_ENV !== "production") {
+  logger.add(
+    new winston.transports.Console({
+      format: winston.format.simple(),
+    })
+  );
+}
+
+// Remove what belonged to a deleted spot. The spot is already gone, so every step runs
+// even if an earlier one fails, and failures are logged rather than thrown.
+const cleanUpDeletedSpot = async (spot) => {
+  const steps = {
+    suggestions: () => removeSpotSuggestions(spot),
+    savesAndCollections: () => removeSpotReferences(spot._id),
+    photos: () => Promise.all(spot.photos.map((photo) => removeImage(photo))),
+    contributions: () => removeSpotContributions(spot._id),
+    panoramas: () => removeSpotPanoramas(spot),
+    seen: () => removeSeenSpot(spot._id),
+    recommendations: () => removeSpotRecommendations(spot._id),
+    dailyStats: () => removeSpotStats(spot._id),
+  };
+
+  for (const [name, step] of Object.entries(steps)) {
+    try {
+      await step();
+    } catch (error) {
+      logger.error(`Cleanup of deleted spot failed: ${name}`, {
+        spotId: spot._id.toString(),
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+};
+
+module.exports = { cleanUpDeletedSpot };
@@ -0,0 +1,188 @@
+const Spot = require("../models/Spot");
+const SpotDailyStats = require("../models/SpotDailyStats");
+const SpotDailyViewer = require("../models/SpotDailyViewer");
+
+const DAY = 24 * 60 * 60 * 1000;
+const COUNTERS = { view: "views", like: "likes", review: "reviews", share: "shares" };
+const METRICS = ["views", "uniqueViewers", "likes", "unlikes", "reviews", "shares"];
+
+// Midnight UTC of the given day
+const dayStart = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const increment = (spotId, inc) =>
+  SpotDailyStats.updateOne({ spot: spotId, date: dayStart() }, { $inc: inc }, { upsert: true });
+
+// True the first time a viewer is seen for a spot today
+const isFirstViewToday = async (spotId, viewer) => {
+  const result = await SpotDailyViewer.updateOne(
+    { spot: spotId, date: dayStart(), viewer },
+    { $setOnInsert: { createdAt: new Date() } },
+    { upsert: true }
+  );
+  return result.upsertedCount === 1;
+};
+
+// Bump today's counters for an engagement event
+const recordDailyEvent = async ({ type, spotId, viewer, rating }) => {
+  const counter = COUNTERS[type];
+  if (!counter) return;
+
+  const inc = { [counter]: 1 };
+  if (type === "review" && rating) inc.ratingSum = rating;
+  if (type === "view" && viewer && (await isFirstViewToday(spotId, viewer))) inc.uniqueViewers = 1;
+  await increment(spotId, inc);
+};
+
+const recordDailyUnlike = (spotId) => increment(spotId, { unlikes: 1 });
+
+const emptyCounters = () => Object.fromEntries(METRICS.map((metric) => [metric, 0]));
+
+// Daily series for one spot over [from, to], with zero-filled days and a rating trend:
+// the average of the day's new reviews and the spot's running average rating.
+// Reviews before `from` seed the running average from the spot's embedded comments.
+const buildSeries = (spot, days, statsByDay, from) => {
+  const earlier = (spot.comments || []).filter((comment) => comment.createdAt < from);
+  let ratingSum = earlier.reduce((sum, comment) => sum + comment.rating, 0);
+  let ratingCount = earlier.length;
+
+  const totals = emptyCounters();
+  const series = days.map((date) => {
+    const stats = statsByDay.get(date.getTime()) || {};
+    const point = { date };
+    METRICS.forEach((metric) => {
+      point[metric] = stats[metric] || 0;
+      totals[metric] += point[metric];
+    });
+
+    ratingSum += stats.ratingSum || 0;
+    ratingCount += stats.reviews || 0;
+    point.dailyRating = stats.reviews ? Number((stats.ratingSum / stats.reviews).toFixed(2)) : null;
+    point.averageRating = ratingCount ? Number((ratingSum / ratingCount).toFixed(2)) : null;
+    return point;
+  });
+
+  totals.netLikes = totals.likes - totals.unlikes;
+  return { series, totals };
+};
+
+const daysBetween = (from, to) => {
+  const days = [];
+  for (let day = dayStart(from); day <= to; day = new Date(day.getTime() + DAY)) days.push(day);
+  return days;
+};
+
+// Daily series and totals for the given spots over [from, to] (whole UTC days)
+const getSpotAnalytics = async (spots, { from, to }) => {
+  const start = dayStart(from);
+  const end = dayStart(to);
+  const days = daysBetween(start, end);
+
+  const stats = await SpotDailyStats.find({
+    spot: { $in: spots.map((spot) => spot._id) },
+    date: { $gte: start, $lte: end },
+  }).lean();
+
+  const statsBySpot = new Map();
+  stats.forEach((entry) => {
+    const key = entry.spot.toString();
+    if (!statsBySpot.has(key)) statsBySpot.set(key, new Map());
+    statsBySpot.get(key).set(entry.date.getTime(), entry);
+  });
+
+  return spots.map((spot) => {
+    const { series, totals } = buildSeries(spot, days, statsBySpot.get(spot._id.toString()) || new Map(), start);
+    return {
+      spotId: spot._id,
+      name: spot.name,
+      status: spot.status,
+      lifetime: {
+        views: spot.views || 0,
+        likes: (spot.likedBy || []).length,
+        reviews: (spot.comments || []).length,
+        averageRating: spot.averageRating || 0,
+      },
+      totals,
+      series,
+    };
+  });
+};
+
+// Analytics for every spot a contributor submitted: totals and a combined daily
+// series across all of them, plus per-spot series for one page of spots
+const getContributorAnalytics = async (userId, { from, to, page = 1, limit = 10 }) => {
+  const start = dayStart(from);
+  const end = dayStart(to);
+  const spotIds = await Spot.find({ submittedBy: userId }).distinct("_id");
+
+  const daily = await SpotDailyStats.aggregate([
+    { $match: { spot: { $in: spotIds }, date: { $gte: start, $lte: end } } },
+    {
+      $group: {
+        _id: "$date",
+        ...Object.fromEntries([...METRICS, "ratingSum"].map((metric) => [metric, { $sum: `$${metric}` }])),
+      },
+    },
+  ]);
+  const dailyByDay = new Map(daily.map((entry) => [entry._id.getTime(), entry]));
+
+  const series = daysBetween(start, end).map((date) => {
+    const stats = dailyByDay.get(date.getTime()) || {};
+    const point = { date };
+    METRICS.forEach((metric) => {
+      point[metric] = stats[metric] || 0;
+    });
+    point.dailyRating = stats.reviews ? Number((stats.ratingSum / stats.reviews).toFixed(2)) : null;
+    return point;
+  });
+
+  const totals = emptyCounters();
+  series.forEach((point) => METRICS.forEach((metric) => (totals[metric] += point[metric])));
+  totals.netLikes = totals.likes - totals.unlikes;
+
+  const [lifetime] = await Spot.aggregate([
+    { $match: { _id: { $in: spotIds } } },
+    {
+      $group: {
+        _id: null,
+        views: { $sum: "$views" },
+        likes: { $sum: { $size: { $ifNull: ["$likedBy", []] } } },
+        reviews: { $sum: { $size: { $ifNull: ["$comments", []] } } },
+        ratingSum: { $sum: { $sum: "$comments.rating" } },
+      },
+    },
+  ]);
+
+  const spots = await Spot.find({ submittedBy: userId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .select("name status views likedBy comments.rating comments.createdAt averageRating")
+    .lean();
+
+  return {
+    from: start,
+    to: end,
+    totals: {
+      ...totals,
+      spots: spotIds.length,
+      lifetime: {
+        views: lifetime?.views || 0,
+        likes: lifetime?.likes || 0,
+        reviews: lifetime?.reviews || 0,
+        averageRating: lifetime?.reviews ? Number((lifetime.ratingSum / lifetime.reviews).toFixed(2)) : 0,
+      },
+    },
+    series,
+    spots: await getSpotAnalytics(spots, { from: start, to: end }),
+    totalPages: Math.ceil(spotIds.length / limit),
+  };
+};
+
+// Delete the daily counters and viewer records of a deleted spot
+const removeSpotStats = async (spotId) => {
+  await SpotDailyStats.deleteMany({ spot: spotId });
+  await SpotDailyViewer.deleteMany({ spot: spotId });
+};
+
+module.exports = { recordDailyEvent, recordDailyUnlike, getSpotAnalytics, getContributorAnalytics, removeSpotStats };
@@ -0,0 +1,218 @@
+const Spot = require("../models/Spot");
+const SearchSuggestion = require("../models/SearchSuggestion");
+const { escapeRegex } = require("./searchService");
+
+const CANDIDATE_LIMIT = 200;
+
+// Lowercase, strip accents and punctuation so "Café-Goa" matches "cafe goa"
+const normalize = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const wordsOf = (normalized) => (normalized ? normalized.split(" ") : []);
+
+// Character trigrams of every word, used to find fuzzy candidates
+const gramsOf = (normalized) => {
+  const grams = new Set();
+  wordsOf(normalized).forEach((word) => {
+    if (word.length < 3) return grams.add(word);
+    for (let i = 0; i <= word.length - 3; i++) grams.add(word.slice(i, i + 3));
+  });
+  return [...grams];
+};
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Smallest edit distance between the query and the beginning of the text at any word
+// boundary, so "watrfal" matches "Hidden Waterfalls" with distance 1
+const prefixDistance = (query, normalized) => {
+  const words = wordsOf(normalized);
+  let best = Infinity;
+  for (let i = 0; i < words.length && best > 0; i++) {
+    const text = words.slice(i).join(" ");
+    for (let length = query.length - 1; length <= query.length + 1; length++) {
+      if (length < 1) continue;
+      best = Math.min(best, levenshtein(query, text.slice(0, length)));
+    }
+  }
+  return best;
+};
+
+// Typos allowed for a query of the given length
+const maxDistance = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+const spotPopularity = (spot) =>
+  (spot.likedBy?.length || 0) * 2 +
+  (spot.comments?.length || 0) * 3 +
+  Math.floor((spot.views || 0) / 10) +
+  (spot.averageRating || 0);
+
+const textFields = (text) => {
+  const normalized = normalize(text);
+  return { text, normalized, words: wordsOf(normalized), grams: gramsOf(normalized) };
+};
+
+// Recount a city or tag entry from the spot entries filed under it
+const refreshGroup = async (type, value) => {
+  const match = type === "city" ? { type: "spot", city: value } : { type: "spot", tags: value };
+  const [group] = await SearchSuggestion.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        spotCount: { $sum: 1 },
+        popularity: { $sum: "$popularity" },
+        cityName: { $first: "$cityName" },
+      },
+    },
+  ]);
+
+  const key = `${type}:${normalize(value)}`;
+  if (!group) {
+    await SearchSuggestion.deleteOne({ key });
+    return;
+  }
+
+  await SearchSuggestion.updateOne(
+    { key },
+    {
+      $set: {
+        type,
+        ...textFields(type === "city" ? group.cityName || value : value),
+        spotCount: group.spotCount,
+        popularity: group.popularity,
+        updatedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+// Bring a spot's suggestions in line with its current state. Approved spots are
+// indexed; anything else (pending, rejected, hidden) is removed. The spot's old and
+// new city and tags are recounted.
+const syncSpotSuggestions = async (spot) => {
+  const key = `spot:${spot._id}`;
+  const previous = await SearchSuggestion.findOne({ key }).select("city tags").lean();
+
+  let current = null;
+  if (spot.status === "approved") {
+    current = {
+      type: "spot",
+      ...textFields(spot.name),
+      spot: spot._id,
+      city: normalize(spot.city),
+      cityName: spot.city || "",
+      tags: spot.tags || [],
+      popularity: spotPopularity(spot),
+      updatedAt: new Date(),
+    };
+    await SearchSuggestion.updateOne({ key }, { $set: current }, { upsert: true });
+  } else if (previous) {
+    await SearchSuggestion.deleteOne({ key });
+  }
+
+  const cities = new Set([previous?.city, current?.city].filter(Boolean));
+  const tags = new Set([...(previous?.tags || []), ...(current?.tags || [])]);
+  for (const city of cities) await refreshGroup("city", city);
+  for (const tag of tags) await refreshGroup("tag", tag);
+};
+
+// Remove a deleted spot from the suggestions
+const removeSpotSuggestions = async (spot) => {
+  await syncSpotSuggestions({ _id: spot._id, status: "deleted" });
+};
+
+// Rebuild every suggestion from the approved spots, e.g. to backfill an existing
+// database or to refresh popularity after likes and views have accumulated
+const rebuildSuggestions = async () => {
+  const startedAt = new Date();
+  const cursor = Spot.find({ status: "approved" })
+    .select("name city tags likedBy comments.rating views averageRating")
+    .lean()
+    .cursor();
+
+  let spots = 0;
+  for await (const spot of cursor) {
+    await SearchSuggestion.updateOne(
+      { key: `spot:${spot._id}` },
+      {
+        $set: {
+          type: "spot",
+          ...textFields(spot.name),
+          spot: spot._id,
+          city: normalize(spot.city),
+          cityName: spot.city || "",
+          tags: spot.tags || [],
+          popularity: spotPopularity(spot),
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+    spots++;
+  }
+  await SearchSuggestion.deleteMany({ type: "spot", updatedAt: { $lt: startedAt } });
+
+  const cities = await SearchSuggestion.distinct("city", { type: "spot", city: { $ne: "" } });
+  const tags = await SearchSuggestion.distinct("tags", { type: "spot" });
+  for (const city of cities) await refreshGroup("city", city);
+  for (const tag of tags) await refreshGroup("tag", tag);
+  await SearchSuggestion.deleteMany({ type: { $in: ["city", "tag"] }, updatedAt: { $lt: startedAt } });
+
+  return { spots, cities: cities.length, tags: tags.length };
+};
+
+// Typed autocomplete suggestions: prefix matches plus fuzzy matches within a few
+// typos, closest first and then by popularity
+const suggest = async (q, { limit = 10, types } = {}) => {
+  const query = normalize(q);
+  if (!query) return [];
+
+  const filter = types && types.length > 0 ? { type: { $in: types } } : {};
+  const grams = gramsOf(query);
+  const candidates = await SearchSuggestion.aggregate([
+    {
+      $match: {
+        ...filter,
+        $or: [{ words: { $regex: `^${escapeRegex(wordsOf(query)[0])}` } }, { grams: { $in: grams } }],
+      },
+    },
+    { $addFields: { sharedGrams: { $size: { $setIntersection: ["$grams", grams] } } } },
+    { $sort: { sharedGrams: -1, popularity: -1 } },
+    { $limit: CANDIDATE_LIMIT },
+    { $project: { type: 1, text: 1, normalized: 1, spot: 1, spotCount: 1, popularity: 1 } },
+  ]);
+
+  const allowed = maxDistance(query.length);
+  return candidates
+    .map((candidate) => ({ ...candidate, distance: prefixDistance(query, candidate.normalized) }))
+    .filter((candidate) => candidate.distance <= allowed)
+    .sort((a, b) => a.distance - b.distance || b.popularity - a.popularity)
+    .slice(0, limit)
+    .map((candidate) => ({
+      id: candidate._id,
+      type: candidate.type,
+      text: candidate.text,
+      ...(candidate.type === "spot" ? { spotId: candidate.spot } : { spotCount: candidate.spotCount }),
+      popularity: candidate.popularity,
+      fuzzy: candidate.distance > 0,
+    }));
+};
+
+module.exports = { suggest, syncSpotSuggestions, removeSpotSuggestions, rebuildSuggestions, normalize, levenshtein };
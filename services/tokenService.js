@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const keysets = require("../config/jwtKeys");
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+// jsonwebtoken has no EdDSA support, so Ed25519/Ed448 tokens are signed and verified here
+const signEdDSA = (header, payload, privateKey) => {
+  const data = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+  return `${data}.${crypto.sign(null, Buffer.from(data), privateKey).toString("base64url")}`;
+};
+
+const verifyEdDSA = (token, publicKey) => {
+  const [header, payload, signature] = token.split(".");
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${payload}`),
+    publicKey,
+    Buffer.from(signature || "", "base64url")
+  );
+  if (!valid) throw new jwt.JsonWebTokenError("invalid signature");
+
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  if (typeof claims.exp === "number" && claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new jwt.TokenExpiredError("jwt expired", new Date(claims.exp * 1000));
+  }
+  return claims;
+};
+
+// Sign a token of the given type ("access" or "refresh") with the active key
+const signToken = (typ, payload, ttlSeconds) => {
+  const { signingKey } = keysets[typ];
+  if (!signingKey) throw new Error(`No signing key configured for ${typ} tokens`);
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { ...payload, typ, iat: now, exp: now + ttlSeconds };
+
+  if (signingKey.alg === "EdDSA") {
+    return signEdDSA({ alg: "EdDSA", typ: "JWT", kid: signingKey.kid }, claims, signingKey.signKey);
+  }
+  return jwt.sign(claims, signingKey.signKey, {
+    algorithm: signingKey.alg,
+    keyid: signingKey.kid,
+  });
+};
+
+// Access tokens issued before keysets existed: HS256 with JWT_SECRET itself, no kid,
+// no typ and an hour to live. They are accepted until they expire, so signed-in users
+// are not logged out the moment this is deployed. Refresh tokens of that era looked
+// the same but lived 7 days, so anything longer-lived is refused rather than being
+// taken for an access token.
+const LEGACY_ACCESS_TTL = 60 * 60;
+
+const isLegacyToken = (decoded) =>
+  decoded.header.alg === "HS256" && !decoded.header.kid && !decoded.payload?.typ;
+
+const verifyLegacyToken = (typ, token) => {
+  if (typ !== "access" || !process.env.JWT_SECRET) throw new jwt.JsonWebTokenError("unknown signing key");
+  const claims = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ["HS256"] });
+  if (typeof claims.iat !== "number" || typeof claims.exp !== "number" || claims.exp - claims.iat > LEGACY_ACCESS_TTL) {
+    throw new jwt.JsonWebTokenError("expected a access token");
+  }
+  return { ...claims, typ };
+};
+
+// Verify a token against its type's keyset and check the typ claim, so a refresh
+// token is never accepted where an access token is expected (and vice versa)
+const verifyToken = (typ, token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new jwt.JsonWebTokenError("jwt malformed");
+  if (isLegacyToken(decoded)) return verifyLegacyToken(typ, token);
+
+  const key = keysets[typ].keys.find((candidate) => candidate.kid === decoded.header.kid);
+  if (!key || key.alg !== decoded.header.alg) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+
+  const claims = key.alg === "EdDSA"
+    ? verifyEdDSA(token, key.verifyKey)
+    : jwt.verify(token, key.verifyKey, { algorithms: [key.alg] });
+
+  if (claims.typ !== typ) throw new jwt.JsonWebTokenError(`expected a ${typ} token`);
+  return claims;
+};
+
+// Public keys of the access keyset as a JSON Web Key Set, for other services
+const getJwks = () => ({
+  keys: keysets.access.keys
+    .filter((key) => !key.symmetric)
+    .map((key) => ({
+      ...key.verifyKey.export({ format: "jwk" }),
+      kid: key.kid,
+      alg: key.alg,
+      use: "sig",
+    })),
+});
+
+module.exports = { signToken, verifyToken, getJwks };
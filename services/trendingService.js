@@ -0,0 +1,161 @@
+const Spot = require("../models/Spot");
+const EngagementEvent = require("../models/EngagementEvent");
+const { escapeRegex, EARTH_RADIUS_KM } = require("./searchService");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Trending windows: events older than the window are ignored, and within it an
+// event's weight halves every half-life
+const WINDOWS = {
+  "24h": { durationMs: DAY, halfLifeMs: 6 * HOUR },
+  "7d": { durationMs: 7 * DAY, halfLifeMs: 2 * DAY },
+  "30d": { durationMs: 30 * DAY, halfLifeMs: 7 * DAY },
+};
+
+const EVENT_WEIGHTS = { view: 1, like: 3, review: 5, share: 4 };
+
+const MAX_TRENDING = 200;
+const MAX_CACHE_ENTRIES = 500;
+const CACHE_TTL_MS = (Number(process.env.TRENDING_CACHE_MINUTES) || 10) * 60 * 1000;
+
+// Ranked spot ids per window and scope
+const cache = new Map();
+
+// Coordinates are rounded to ~1 km so nearby requests share a cache entry
+const normalizeScope = ({ window = "7d", city, lat, lon, radius }) => {
+  const scope = { window };
+  if (city) scope.city = city.trim().toLowerCase();
+  if (typeof lat === "number" && typeof lon === "number") {
+    scope.lat = Number(lat.toFixed(2));
+    scope.lon = Number(lon.toFixed(2));
+    scope.radius = radius || 50;
+  }
+  return scope;
+};
+
+// Rank spots by time-decayed engagement within a window, optionally limited to a
+// city or a radius (km) around a point
+const computeTrending = async (scope) => {
+  const { durationMs, halfLifeMs } = WINDOWS[scope.window];
+  const now = new Date();
+  const match = { createdAt: { $gte: new Date(now.getTime() - durationMs) } };
+
+  if (scope.city || scope.lat !== undefined) {
+    const spotFilter = { status: "approved" };
+    if (scope.city) spotFilter.city = { $regex: `^${escapeRegex(scope.city)}$`, $options: "i" };
+    if (scope.lat !== undefined) {
+      spotFilter.location = {
+        $geoWithin: { $centerSphere: [[scope.lon, scope.lat], scope.radius / EARTH_RADIUS_KM] },
+      };
+    }
+    match.spot = { $in: await Spot.find(spotFilter).distinct("_id") };
+  }
+
+  const countOf = (type) => ({ $sum: { $cond: [{ $eq: ["$_id.type", type] }, 1, 0] } });
+
+  const ranked = await EngagementEvent.aggregate([
+    { $match: match },
+    // Repeat interactions of one type by the same user or anonymous visitor count once,
+    // at the latest
+    {
+      $group: {
+        _id: { spot: "$spot", type: "$type", actor: { $ifNull: ["$user", { $ifNull: ["$viewer", "$_id"] }] } },
+        createdAt: { $max: "$createdAt" },
+      },
+    },
+    {
+      $addFields: {
+        weight: {
+          $multiply: [
+            {
+              $switch: {
+                branches: Object.entries(EVENT_WEIGHTS).map(([type, weight]) => ({
+                  case: { $eq: ["$_id.type", type] },
+                  then: weight,
+                })),
+                default: 0,
+              },
+            },
+            { $pow: [0.5, { $divide: [{ $subtract: [now, "$createdAt"] }, halfLifeMs] }] },
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.spot",
+        score: { $sum: "$weight" },
+        views: countOf("view"),
+        likes: countOf("like"),
+        reviews: countOf("review"),
+        shares: countOf("share"),
+      },
+    },
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: MAX_TRENDING * 2 },
+  ]);
+
+  // Hidden, rejected and deleted spots drop out
+  const approved = new Set(
+    (await Spot.find({ _id: { $in: ranked.map((entry) => entry._id) }, status: "approved" }).distinct("_id")).map(
+      (id) => id.toString()
+    )
+  );
+
+  return {
+    computedAt: now,
+    entries: ranked
+      .filter((entry) => approved.has(entry._id.toString()))
+      .slice(0, MAX_TRENDING)
+      .map(({ _id, score, ...counts }) => ({ spot: _id, score: Number(score.toFixed(4)), ...counts })),
+  };
+};
+
+// Cached ranking for a scope, recomputed once it is older than the cache TTL
+const rankingFor = async (scope, { force = false } = {}) => {
+  const key = JSON.stringify(scope);
+  const cached = cache.get(key);
+  if (!force && cached && Date.now() - cached.computedAt.getTime() < CACHE_TTL_MS) return cached;
+
+  const ranking = await computeTrending(scope);
+  cache.delete(key);
+  cache.set(key, ranking);
+  if (cache.size > MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+  return ranking;
+};
+
+// A page of trending spots with their score and engagement counts in the window
+const getTrending = async (options, { page = 1, limit = 10 } = {}) => {
+  const scope = normalizeScope(options);
+  const ranking = await rankingFor(scope);
+
+  const skip = (page - 1) * limit;
+  const entries = ranking.entries.slice(skip, skip + limit);
+  const spots = await Spot.find({ _id: { $in: entries.map((entry) => entry.spot) } })
+    .select("-reports")
+    .populate("submittedBy", "username profilePic")
+    .lean();
+  const spotsById = new Map(spots.map((spot) => [spot._id.toString(), spot]));
+
+  return {
+    spots: entries
+      .filter((entry) => spotsById.has(entry.spot.toString()))
+      .map(({ spot, ...trending }) => ({ ...spotsById.get(spot.toString()), trending })),
+    totalPages: Math.ceil(ranking.entries.length / limit),
+    window: scope.window,
+    computedAt: ranking.computedAt,
+  };
+};
+
+// Recompute the unscoped rankings for every window, run periodically by the job
+const refreshTrending = async () => {
+  const counts = {};
+  for (const window of Object.keys(WINDOWS)) {
+    const ranking = await rankingFor({ window }, { force: true });
+    counts[window] = ranking.entries.length;
+  }
+  return counts;
+};
+
+module.exports = { WINDOWS, getTrending, refreshTrending };
@@ -1,5 +1,6 @@
-const admin = require("firebase-admin");
 const winston = require("winston");
+const { authenticateToken } = require("../services/authService");
+const { accountRoom } = require("./userRooms");
 
 module.exports = (io) => {
   // Setup Winston logger (same config as server.js)
@@ -26,7 +27,7 @@ module.exports = (io) => {
     );
   }
 
-  // Authenticate Socket.io connections
+  // Authenticate Socket.io connections with the same strategies as HTTP routes
   io.use(async (socket, next) => {
     const token = socket.handshake.auth.token; // Expect token from frontend
     if (!token) {
@@ -35,41 +36,50 @@ module.exports = (io) => {
     }
 
     try {
-      const decodedToken = await admin.auth().verifyIdToken(token);
-      socket.user = decodedToken; // Attach user to socket
+      socket.user = await authenticateToken(token); // Attach user to socket
       next();
     } catch (error) {
-      logger.error("Socket authentication error", { error: error.message });
-      return next(new Error("Invalid token"));
+      logger.error("Socket authentication error", {
+        error: error.message,
+        details: error.details,
+      });
+      const socketError = new Error(error.status ? error.message : "Invalid token");
+      if (error.body) socketError.data = error.body; // Ban/suspension code for the client
+      return next(socketError);
     }
   });
 
   io.on("connection", (socket) => {
-    logger.info(`User ${socket.user.uid} connected`, {
-      userId: socket.user.uid,
+    logger.info(`User ${socket.user.userId} connected`, {
+      userId: socket.user.userId,
     });
 
+    // Notifications are emitted to the user's Mongo _id room; the account room lets
+    // the server disconnect them (see sockets/userRooms)
+    socket.join(socket.user.userId);
+    socket.join(accountRoom(socket.user.userId));
+
     // Join a user-specific room for follower notifications
     socket.on("joinUser", () => {
-      socket.join(socket.user.uid); // Join a room based on Firebase UID
-      logger.info(`User ${socket.user.uid} joined their own room`, {
-        userId: socket.user.uid,
+      socket.join(socket.user.userId); // Join a room based on the Mongo user _id
+      logger.info(`User ${socket.user.userId} joined their own room`, {
+        userId: socket.user.userId,
       });
     });
 
     // Leave the user-specific room (optional, usually on disconnect)
     socket.on("leaveUser", () => {
-      socket.leave(socket.user.uid);
-      logger.info(`User ${socket.user.uid} left their own room`, {
-        userId: socket.user.uid,
+      socket.leave(socket.user.userId);
+      logger.info(`User ${socket.user.userId} left their own room`, {
+        userId: socket.user.userId,
       });
     });
 
     // Join a spot-specific room for spot updates
     socket.on("joinSpot", ({ spotId }) => {
       socket.join(spotId);
-      logger.info(`User ${socket.user.uid} joined spot ${spotId}`, {
-        userId: socket.user.uid,
+      logger.info(`User ${socket.user.userId} joined spot ${spotId}`, {
+        userId: socket.user.userId,
         spotId,
       });
     });
@@ -77,15 +87,15 @@ module.exports = (io) => {
     // Leave a spot-specific room
     socket.on("leaveSpot", ({ spotId }) => {
       socket.leave(spotId);
-      logger.info(`User ${socket.user.uid} left spot ${spotId}`, {
-        userId: socket.user.uid,
+      logger.info(`User ${socket.user.userId} left spot ${spotId}`, {
+        userId: socket.user.userId,
         spotId,
       });
     });
 
     socket.on("disconnect", () => {
-      logger.info(`User ${socket.user.uid} disconnected`, {
-        userId: socket.user.uid,
+      logger.info(`User ${socket.user.userId} disconnected`, {
+        userId: socket.user.userId,
       });
     });
   });
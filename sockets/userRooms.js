@@ -0,0 +1,11 @@
+// Every authenticated socket joins a room for its account. Unlike the notification
+// room, which clients join and leave themselves ("joinUser", "leaveUser"), they cannot
+// leave it, so the server can always reach all of a user's sockets.
+const accountRoom = (userId) => `account:${userId}`;
+
+// Disconnect every socket of a user, e.g. when they are banned or suspended
+const disconnectUser = (io, userId) => {
+  if (io) io.in(accountRoom(userId.toString())).disconnectSockets(true);
+};
+
+module.exports = { accountRoom, disconnectUser };